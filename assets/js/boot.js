@@ -0,0 +1,26 @@
+// boot.js — loaded (blocking) at the top of every page's <head> so the first paint already has the
+// reader's theme, language and motion setting. Only sets html attributes; script.js owns the toggles,
+// live OS changes and everything else, with the same rules.
+(function () {
+  const root = document.documentElement;
+  const query = (q) => !!(window.matchMedia && window.matchMedia(q).matches);
+
+  // Theme: saved "light" | "dark" → system (OS prefers-color-scheme)
+  const savedTheme = localStorage.getItem('theme');
+  const themeMode = (savedTheme === 'dark' || savedTheme === 'light') ? savedTheme : 'system';
+  root.setAttribute('data-theme-mode', themeMode);
+  root.setAttribute('data-theme', themeMode === 'system' ? (query('(prefers-color-scheme: dark)') ? 'dark' : 'light') : themeMode);
+
+  // Language: ?lang= (shared link) → saved → browser language (first visit)
+  const urlLang = (new URLSearchParams(location.search).get('lang') || '').toLowerCase();
+  const savedLang = (localStorage.getItem('lang') || '').toLowerCase();
+  const browserLang = (navigator.language || '').toLowerCase().startsWith('mn') ? 'mn' : 'en';
+  const lang = [urlLang, savedLang].find(l => l === 'mn' || l === 'en') || browserLang;
+  root.setAttribute('lang', lang);
+  root.classList.toggle('lang-mn', lang === 'mn');
+
+  // Motion: saved "reduce" | "full" → OS prefers-reduced-motion
+  const savedMotion = localStorage.getItem('motion');
+  const reduce = (savedMotion === 'reduce' || savedMotion === 'full') ? savedMotion === 'reduce' : query('(prefers-reduced-motion: reduce)');
+  root.setAttribute('data-motion', reduce ? 'reduce' : 'full');
+})();
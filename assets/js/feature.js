@@ -1,8 +1,9 @@
 /* assets/js/feature.js
- * Initializes the right-split “futuristic” Chart.js card from /assets/data/feature1.json
+ * Chart cards and feature-specific logic. Any page that loads /assets/js/chart.js and this file
+ * gets every `.chart-card[data-chart-src]` rendered from its JSON file.
  * Expects HTML structure:
  *
- * <div class="chart-card" id="feature1">
+ * <div class="chart-card" id="feature1" data-chart-src="/assets/data/feature1.json" data-chart-type="line">
  *   <header class="chart-head">
  *     <h4 class="chart-title h3" data-i18n="features.section.1.chartTitle"></h4>
  *     <p class="chart-sub"    data-i18n="features.section.1.chartSubtitle"></p>
@@ -12,6 +13,13 @@
  *     <small class="chart-src" data-i18n="features.section.1.source">Source: feature1.json</small>
  *   </footer>
  * </div>
+ *
+ * data-chart-type: "line" (default, every numeric series in the file), "forecast" (fan chart: nested
+ * ci<N>%_lower/upper bands, dashed line after the last actual period and a marker at it) or "backtest"
+ * (actual vs the forecast made N periods earlier, error bars, a horizon switch and rolling error stats).
+ * Charts with more than one series get a clickable legend that shows/hides each one.
+ * Data files are checked against SCHEMAS (below) through SiteData in script.js, which also draws the
+ * loading / error / empty panels.
  */
 
 (function () {
@@ -62,34 +70,312 @@
         return { r: 255, g: 255, b: 255 };
     }
 
-    // Find the first numeric series key in a JSON object (excluding known meta keys)
-    function pickSeriesKey(obj) {
-        const ignore = new Set(["date", "labels", "meta", "source"]);
-        for (const k of Object.keys(obj)) {
-            if (ignore.has(k)) continue;
+    // All numeric series keys in a JSON object, in file order (excluding known meta keys)
+    function seriesKeys(obj) {
+        const ignore = new Set(["date", "labels", "meta", "source", "chart"]);
+        return Object.keys(obj || {}).filter(k => {
+            if (ignore.has(k)) return false;
             const v = obj[k];
-            if (Array.isArray(v)) return k;
-            if (v && typeof v === "object") return k;
-        }
-        return null;
+            if (!v || typeof v !== "object") return false;
+            return Object.values(v).some(x => toNum(x) !== null);
+        });
+    }
+
+    // Find the first numeric series key in a JSON object
+    function pickSeriesKey(obj) {
+        return seriesKeys(obj)[0] || null;
+    }
+
+    // Numeric order of the {'0':..,'1':..} index keys of a date column
+    function indexOrder(col) {
+        return Object.keys(col).map(Number).sort((a, b) => a - b);
+    }
+
+    // Read one column of a {date:{...}, key:{...}} file in date order; blanks become null
+    function readColumn(raw, key, order = indexOrder(raw.date)) {
+        const col = raw[key];
+        if (Array.isArray(col)) return order.map((k, i) => toNum(col[i]));
+        if (!col || typeof col !== "object") return order.map(() => null);
+        return order.map(k => toNum(col[String(k)]));
+    }
+
+    function toNum(v) {
+        return (v === null || v === undefined || v === "" || Number.isNaN(+v)) ? null : +v;
     }
 
-    // Normalize feature1.json shape to { labels: [], values: [] }
+    // Normalize a data file to { labels: [], series: [{ key, values }] } with every numeric series
     function normalizeData(raw) {
-        // Case 1: {date:{'1':'2023Q2',...}, seriesKey:{'1':6.6,...}}
+        // Case 1: {date:{'1':'2023Q2',...}, gdp_yoy:{'1':6.6,...}, cpi_yoy:{...}}
         if (raw && raw.date && typeof raw.date === "object") {
-            const order = Object.keys(raw.date).map(Number).sort((a, b) => a - b);
-            const seriesKey = pickSeriesKey(raw) || "value";
-            const labels = order.map((k) => String(raw.date[String(k) ?? k]));
-            const values = order.map((k) => +raw[seriesKey][String(k) ?? k]);
-            return { labels, values, seriesKey };
+            const order = indexOrder(raw.date);
+            const labels = order.map((k) => String(raw.date[String(k)]));
+            const series = seriesKeys(raw).map(key => ({ key, values: readColumn(raw, key, order) }));
+            return alignToTimeline(labels, series);
         }
         // Case 2: {labels:[...], values:[...]}
         if (Array.isArray(raw?.labels) && Array.isArray(raw?.values)) {
-            return { labels: raw.labels, values: raw.values, seriesKey: "value" };
+            return alignToTimeline(raw.labels.map(String), [{ key: "value", values: raw.values.map(toNum) }]);
         }
         // Fallback: empty
-        return { labels: [], values: [], seriesKey: "value" };
+        return { labels: [], series: [], timeline: null };
+    }
+
+
+    // ------------------------------
+    // Time axis (frequency-aware)
+    // ------------------------------
+    // Period labels: annual "2024", quarterly "2024Q3", monthly "2025M11" (or "2025-11"),
+    // daily ISO dates "2025-12-25" (a time part is ignored). Frequencies: A, Q, M, D.
+    const FREQ_RANK = { D: 0, M: 1, Q: 2, A: 3 };
+
+    function parsePeriod(label) {
+        const s = String(label ?? "").trim();
+        let m;
+        if ((m = s.match(/^(\d{4})$/))) return { freq: "A", year: +m[1], sub: 1 };
+        if ((m = s.match(/^(\d{4})\s*-?Q([1-4])$/i))) return { freq: "Q", year: +m[1], sub: +m[2] };
+        if ((m = s.match(/^(\d{4})\s*-?M(\d{1,2})$/i) || s.match(/^(\d{4})-(\d{2})$/))) {
+            return (+m[2] >= 1 && +m[2] <= 12) ? { freq: "M", year: +m[1], sub: +m[2] } : null;
+        }
+        if ((m = s.match(/^(\d{4})-(\d{2})-(\d{2})/))) return { freq: "D", year: +m[1], sub: +m[2], day: +m[3] };
+        return null;
+    }
+
+    // Running number of a period at its own frequency (consecutive periods differ by 1)
+    function periodSerial(p) {
+        switch (p.freq) {
+            case "A": return p.year;
+            case "Q": return p.year * 4 + p.sub - 1;
+            case "M": return p.year * 12 + p.sub - 1;
+            default: return Date.UTC(p.year, p.sub - 1, p.day) / 864e5;
+        }
+    }
+
+    function periodFromSerial(freq, n) {
+        switch (freq) {
+            case "A": return { freq, year: n, sub: 1 };
+            case "Q": return { freq, year: Math.floor(n / 4), sub: (n % 4) + 1 };
+            case "M": return { freq, year: Math.floor(n / 12), sub: (n % 12) + 1 };
+            default: {
+                const d = new Date(n * 864e5);
+                return { freq, year: d.getUTCFullYear(), sub: d.getUTCMonth() + 1, day: d.getUTCDate() };
+            }
+        }
+    }
+
+    // The last period of `p` at a finer (or equal) frequency, e.g. 2025Q3 -> 2025M09
+    function periodEnd(p, freq) {
+        if (p.freq === freq) return p;
+        const lastMonth = p.freq === "A" ? 12 : p.freq === "Q" ? p.sub * 3 : p.sub;
+        if (freq === "Q") return { freq, year: p.year, sub: Math.ceil(lastMonth / 3) };
+        if (freq === "M") return { freq, year: p.year, sub: lastMonth };
+        return { freq, year: p.year, sub: lastMonth, day: new Date(Date.UTC(p.year, lastMonth, 0)).getUTCDate() };
+    }
+
+    function periodLabel(p) {
+        const pad = (n) => String(n).padStart(2, "0");
+        switch (p.freq) {
+            case "A": return String(p.year);
+            case "Q": return `${p.year}Q${p.sub}`;
+            case "M": return `${p.year}M${pad(p.sub)}`;
+            default: return `${p.year}-${pad(p.sub)}-${pad(p.day)}`;
+        }
+    }
+
+    // Place every label on one timeline at the finest frequency present. Coarser periods land on
+    // their last sub-period (mixed-frequency overlays); missing A/Q/M periods become empty slots so
+    // spacing stays proportional to time. Returns null when a label is not a recognised period.
+    function buildTimeline(labels) {
+        const parsed = labels.map(parsePeriod);
+        if (!parsed.length || parsed.some(p => !p)) return null;
+        const freqs = new Set(parsed.map(p => p.freq));
+        const freq = [...freqs].sort((a, b) => FREQ_RANK[a] - FREQ_RANK[b])[0];
+        const serials = parsed.map(p => periodSerial(periodEnd(p, freq)));
+
+        let slots = [...new Set(serials)].sort((a, b) => a - b);
+        const lo = slots[0], hi = slots[slots.length - 1];
+        if (freq !== "D" && hi - lo < 2000) slots = Array.from({ length: hi - lo + 1 }, (_, i) => lo + i);
+
+        const pos = new Map(slots.map((n, i) => [n, i]));
+        const periods = slots.map(n => periodFromSerial(freq, n));
+        return {
+            freq,
+            mixed: freqs.size > 1,
+            periods,
+            labels: periods.map(periodLabel),
+            index: serials.map(n => pos.get(n)),
+        };
+    }
+
+    function alignToTimeline(labels, series) {
+        const timeline = buildTimeline(labels);
+        if (!timeline) return { labels, series, timeline: null };
+        return {
+            labels: timeline.labels,
+            series: series.map(({ key, values }) => {
+                const out = timeline.labels.map(() => null);
+                values.forEach((v, i) => { if (v !== null) out[timeline.index[i]] = v; });
+                return { key, values: out };
+            }),
+            timeline,
+        };
+    }
+
+    // script.js owns the language (URL → saved → browser); the lang-mn class is the fallback without it
+    function activeLang() {
+        if (window.SiteI18n?.lang) return window.SiteI18n.lang();
+        return document.documentElement.classList.contains("lang-mn") ? "mn" : "en";
+    }
+
+    function intlLocale() {
+        return activeLang() === "mn" ? "mn-MN" : "en-US";
+    }
+
+    function monthName(p, style = "short") {
+        return new Intl.DateTimeFormat(intlLocale(), { month: style, timeZone: "UTC" }).format(Date.UTC(p.year, p.sub - 1, 1));
+    }
+
+    // Human form of a period label for tooltips: "2025 Q3", "November 2025", "Dec 25, 2025"
+    function formatPeriod(label) {
+        const p = parsePeriod(label);
+        if (!p) return String(label ?? "");
+        switch (p.freq) {
+            case "A": return String(p.year);
+            case "Q": return `${p.year} Q${p.sub}`;
+            case "M": return new Intl.DateTimeFormat(intlLocale(), { month: "long", year: "numeric", timeZone: "UTC" })
+                .format(Date.UTC(p.year, p.sub - 1, 1));
+            default: return new Intl.DateTimeFormat(intlLocale(), { dateStyle: "medium", timeZone: "UTC" })
+                .format(Date.UTC(p.year, p.sub - 1, p.day));
+        }
+    }
+
+    // ------------------------------
+    // Number formatting ("meta" blocks in data files)
+    // ------------------------------
+    // "meta": {
+    //   "unit": "mln. USD",                                   // shown after values / as the y-axis title
+    //   "units": { "en": "mln. USD", "mn": "сая ам.доллар" }, // per-language unit labels
+    //   "decimals": 2,                                        // digits in tooltips; ticks use at most this many
+    //   "scale": 0.001,                                       // multiplier applied before display
+    //   "prefix": "$", "suffix": "%"                          // glued to the number ("%" unit implies suffix "%")
+    // }
+    // Grouping and decimal marks follow the active language (Intl, mn-MN / en-US).
+    function numberFormat(meta = {}) {
+        const unit = meta.unit != null ? String(meta.unit).trim() : "";
+        return {
+            unit,
+            units: meta.units || null,
+            decimals: Number.isInteger(meta.decimals) ? meta.decimals : 2,
+            scale: Number(meta.scale) || 1,
+            prefix: meta.prefix || "",
+            suffix: meta.suffix ?? (unit === "%" ? "%" : ""),
+            max: Number(meta.max) || 100,
+        };
+    }
+
+    // Localized unit label; empty when the unit is already carried by the suffix ("%")
+    function unitLabel(fmt) {
+        const label = fmt.units?.[activeLang()] ?? fmt.units?.en ?? fmt.unit;
+        return (label && label !== fmt.suffix) ? label : "";
+    }
+
+    function formatNumber(v, maxDecimals, minDecimals = maxDecimals) {
+        return new Intl.NumberFormat(intlLocale(), {
+            minimumFractionDigits: minDecimals,
+            maximumFractionDigits: maxDecimals,
+        }).format(v);
+    }
+
+    // 3553.58 -> "3,553.58 MNT/USD", 5.94 -> "5.94%"; `trim` drops trailing zeros (axis ticks)
+    function formatValue(v, fmt, { trim = false, withUnit = false } = {}) {
+        if (v === null || v === undefined || !Number.isFinite(+v)) return "—";
+        const n = formatNumber(+v * fmt.scale, fmt.decimals, trim ? 0 : fmt.decimals);
+        const unit = withUnit ? unitLabel(fmt) : "";
+        return `${fmt.prefix}${n}${fmt.suffix}${unit ? " " + unit : ""}`;
+    }
+
+    // Smallest "round" step that keeps count/step under maxTicks
+    function niceStep(count, maxTicks) {
+        return [1, 2, 5, 10, 20, 25, 50, 100].find(s => count / s <= maxTicks) || 100;
+    }
+
+    // Which timeline slots get a tick label, and what it says
+    function tickPlan(timeline) {
+        const plan = new Map();
+        const ps = timeline.periods;
+        const n = ps.length;
+        if (!n) return plan;
+        const years = ps[n - 1].year - ps[0].year + 1;
+        const yearStep = niceStep(years, 8);
+        const onYearStep = (p) => p.year % yearStep === 0;
+
+        ps.forEach((p, i) => {
+            const prev = ps[i - 1];
+            let text = null;
+            switch (timeline.freq) {
+                case "A":
+                    if (onYearStep(p)) text = String(p.year);
+                    break;
+                case "Q":
+                    // first label and Q1s show the year
+                    if (i === 0 || (p.sub === 1 && onYearStep(p))) text = String(p.year);
+                    break;
+                case "M":
+                    if (years <= 2) {
+                        // short spans: quarter-start months, with the year under January
+                        if (i === 0 || p.sub === 1) text = [monthName(p), String(p.year)];
+                        else if ((p.sub - 1) % 3 === 0) text = monthName(p);
+                    } else if (i === 0 || (p.sub === 1 && onYearStep(p))) {
+                        text = String(p.year);
+                    }
+                    break;
+                default: {
+                    const days = periodSerial(ps[n - 1]) - periodSerial(ps[0]);
+                    if (days <= 92) {
+                        // ~3 months: 1st and 15th of each month
+                        if (i === 0 || p.sub !== prev.sub || (p.day >= 15 && prev.day < 15)) text = `${monthName(p)} ${p.day}`;
+                    } else if (days <= 731) {
+                        // up to 2 years: month starts, with the year under January
+                        if (i === 0 || p.sub !== prev.sub) text = (i === 0 || p.sub === 1) ? [monthName(p), String(p.year)] : monthName(p);
+                    } else if (i === 0 || (p.year !== prev.year && onYearStep(p))) {
+                        text = String(p.year);
+                    }
+                }
+            }
+            if (text) plan.set(i, text);
+        });
+
+        // The first period is always labelled; when the next label follows closer than half the
+        // usual spacing (2023Q4, then 2024Q1) the two would overlap, so the first one goes (a month
+        // label after it takes over its year)
+        const slots = [...plan.keys()];
+        if (slots.length > 2) {
+            const spacing = (slots[slots.length - 1] - slots[1]) / (slots.length - 2);
+            if (slots[1] - slots[0] < spacing / 2) {
+                const lead = plan.get(slots[0]);
+                const next = plan.get(slots[1]);
+                plan.delete(slots[0]);
+                if (Array.isArray(lead) && !Array.isArray(next)) plan.set(slots[1], [next, String(ps[slots[1]].year)]);
+            }
+        }
+        return plan;
+    }
+
+    // x-axis tick options for a category axis over a timeline. Dense axes drop unlabeled ticks
+    // (and their grid lines); short ones keep a grid line per period like the original cards.
+    function timeAxis(timeline) {
+        if (!timeline) return { ticks: { autoSkip: true, maxRotation: 0 } };
+        const plan = tickPlan(timeline);
+        const axis = {
+            ticks: {
+                autoSkip: false,                        // we decide which to show
+                maxRotation: 0,
+                callback: (val) => plan.get(val) ?? "",
+            },
+        };
+        if (timeline.labels.length > 24) {
+            axis.afterBuildTicks = (scale) => { scale.ticks = scale.ticks.filter(t => plan.has(t.value)); };
+        }
+        return axis;
     }
 
     // Build a nice gradient fill using CSS accent color
@@ -101,19 +387,13 @@
         return grad;
     }
 
-    // Normalize feature5.json into arrays for yoy, upper, lower
-    function normalizeFeature5(raw) {
-        // order by numeric keys of date
-        const order = Object.keys(raw.date).map(Number).sort((a, b) => a - b);
-        const get = (obj, k) => obj[String(k) ?? k];
-        const toNum = (v) => (v === null || v === "" || Number.isNaN(+v)) ? null : +v;
-
-        const labels = order.map(k => String(get(raw.date, k)));
-        const yoy = order.map(k => toNum(get(raw.gdp_yoy, k)));
-        const upper = order.map(k => toNum(get(raw["ci95%_upper"], k)));
-        const lower = order.map(k => toNum(get(raw["ci95%_lower"], k)));
-
-        return { labels, yoy, upper, lower };
+    // Subtle vertical gradient for a band between two series (CI ranges)
+    function bandFill(ctx, area, color) {
+        if (!area) return rgba(color, 0.12);
+        const g = ctx.createLinearGradient(0, area.top, 0, area.bottom);
+        g.addColorStop(0, rgba(color, 0.18)); // top
+        g.addColorStop(1, rgba(color, 0.06)); // bottom
+        return g;
     }
 
     function rgba(color, alpha) {
@@ -121,316 +401,1193 @@
         return `rgba(${r},${g},${b},${alpha})`;
     }
 
+    // Series colors in a spec are either CSS custom properties ("--chart-accent-a") or literal colors
+    function resolveColor(token, fallback = "#8b5cf6") {
+        if (!token) return getCSSVar("--chart-accent-a", document.documentElement, fallback);
+        if (String(token).startsWith("--")) return getCSSVar(token, document.documentElement, fallback);
+        return token;
+    }
 
     // ------------------------------
-    // Chart initialization
+    // Chart theme
     // ------------------------------
-    async function initFeatureCard({
-        cardSelector = "#feature1",
-        canvasSelector = "#chart-feature1",
-        dataUrl = "assets/data/feature1.json",
-    } = {}) {
-        if (typeof Chart === "undefined") {
-            console.warn("[feature.js] Chart.js is not loaded. Make sure /assets/js/chart.js is included before this file.");
-            return;
-        }
+    // The whole chart palette lives in CSS (--chart-* in feature.css, with [data-theme="dark"] and
+    // html.lang-mn overrides). chartTheme() reads it; applyChartTheme() writes it onto a chart config
+    // or a live chart. Series colors come from each dataset's colorToken, and gradient/band fills
+    // derive from borderColor when drawn, so any chart type built from buildDataset is covered.
+    function chartTheme() {
+        const root = document.documentElement;
+        return {
+            grid: getCSSVar("--chart-grid", root, "rgba(127,127,127,0.15)"),
+            text: getCSSVar("--chart-text", root, "#5b6475"),
+            title: getCSSVar("--chart-title", root, "#0b1220"),
+            tooltipBg: getCSSVar("--chart-tooltip-bg", root, "rgba(11,18,32,0.92)"),
+            tooltipFg: getCSSVar("--chart-tooltip-fg", root, "#ffffff"),
+            tooltipBorder: getCSSVar("--chart-tooltip-border", root, "transparent"),
+            font: getCSSVar("--chart-font", root, "Inter, system-ui, sans-serif"),
+            displayFont: getCSSVar("--chart-font-display", root, "Inter, system-ui, sans-serif"),
+        };
+    }
 
-        const card = document.querySelector(cardSelector);
-        const canvas = document.querySelector(canvasSelector);
-        if (!card || !canvas) {
-            console.warn("[feature.js] Chart card or canvas not found:", { cardSelector, canvasSelector });
-            return;
-        }
+    // Works on a config ({ data, options }) before the chart exists and on a Chart instance after
+    function applyChartTheme(target, theme = chartTheme()) {
+        target.data.datasets.forEach(ds => {
+            const color = resolveColor(ds.colorToken, ds.borderColor);
+            ds.borderColor = color;
+            ds.pointBackgroundColor = color;
+            ds.pointBorderColor = color;
+        });
 
-        // Load data
-        let raw;
-        try {
-            const res = await fetch(dataUrl, { cache: "no-cache" });
-            if (!res.ok) throw new Error(res.status + " " + res.statusText);
-            raw = await res.json();
-        } catch (err) {
-            console.error("[feature.js] Failed to load data:", dataUrl, err);
-            return;
-        }
+        const o = target.options;
+        o.color = theme.text;
+        o.font = Object.assign(o.font || {}, { family: theme.font });
+        Object.values(o.scales || {}).forEach(scale => {
+            scale.grid = Object.assign(scale.grid || {}, { color: theme.grid });
+            scale.ticks = Object.assign(scale.ticks || {}, { color: theme.text, font: { family: theme.font } });
+            scale.title = Object.assign(scale.title || {}, { color: theme.title, font: { family: theme.displayFont } });
+        });
 
-        // Optional: set title/subtitle/source from JSON meta if present
-        const meta = raw.meta || {};
-        const titleEl = card.querySelector(".chart-title");
-        const subEl = card.querySelector(".chart-sub");
-        const srcEl = card.querySelector(".chart-src");
-        if (meta.title && titleEl && !titleEl.getAttribute("data-i18n")) titleEl.textContent = meta.title;
-        if (meta.subtitle && subEl && !subEl.getAttribute("data-i18n")) subEl.textContent = meta.subtitle;
-        if ((raw.source || meta.source) && srcEl && !srcEl.getAttribute("data-i18n")) {
-            srcEl.textContent = `Source: ${raw.source || meta.source}`;
-        }
-
-        // Normalize series
-        const { labels, values, seriesKey } = normalizeData(raw);
-
-        // Colors from CSS
-        const gridColor = getCSSVar("--chart-grid", document.documentElement, "rgba(127,127,127,0.15)");
-        const accentA = getCSSVar("--chart-accent-a", document.documentElement) || "#8b5cf6";
-        const ctx = canvas.getContext("2d");
-
-
-        // Create chart
-        const chart = new Chart(ctx, {
-            type: "line",
-            data: {
-                labels,
-                datasets: [
-                    {
-                        label: "",
-                        data: values,
-                        borderColor: accentA,
-                        borderWidth: 2,
-                        fill: true,
-                        backgroundColor: (c) => {
-                            const area = c.chart.chartArea;
-                            if (!area) return null;
-                            return gradientFill(c.chart.ctx, area, accentA);
-                        },
-                        tension: 0.35,
-                        pointRadius: 4.5,
-                        pointHoverRadius: 6,
-                        pointBackgroundColor: accentA,  // solid fill
-                        pointBorderColor: accentA,
-                        pointBorderWidth: 0,
+        const plugins = o.plugins = o.plugins || {};
+        plugins.tooltip = Object.assign(plugins.tooltip || {}, {
+            backgroundColor: theme.tooltipBg,
+            titleColor: theme.tooltipFg,
+            bodyColor: theme.tooltipFg,
+            footerColor: theme.tooltipFg,
+            borderColor: theme.tooltipBorder,
+            borderWidth: 1,
+            titleFont: { family: theme.font, weight: "600" },
+            bodyFont: { family: theme.font },
+            footerFont: { family: theme.font },
+        });
+        plugins.legend = plugins.legend || {};
+        plugins.legend.labels = Object.assign(plugins.legend.labels || {}, { color: theme.text, font: { family: theme.font } });
+        target.$theme = theme;
+    }
+
+    // Strings from assets/i18n.json via script.js (fallback until it has loaded);
+    // params fill "{name}" placeholders
+    function t(key, fallback = key, params = {}) {
+        if (window.SiteI18n) return window.SiteI18n.t(key, fallback, params);
+        return String(fallback).replace(/\{(\w+)\}/g, (m, name) => (name in params ? String(params[name]) : m));
+    }
+
+    // {"en": …, "mn": …} -> the active language's text (else English, else any); strings pass through
+    function localized(v) {
+        if (v && typeof v === "object") return v[activeLang()] ?? v.en ?? Object.values(v)[0] ?? "";
+        return v ?? "";
+    }
+
+    // Element with a data-i18n key (so script.js re-translates it on language toggles)
+    function i18nEl(tag, key, fallback, className) {
+        const el = document.createElement(tag);
+        if (className) el.className = className;
+        el.setAttribute("data-i18n", key);
+        el.textContent = t(key, fallback);
+        return el;
+    }
+
+    async function fetchJSON(url) {
+        const res = await fetch(url, { cache: "no-cache" });
+        if (!res.ok) throw new Error(res.status + " " + res.statusText);
+        return res.json();
+    }
+
+    // Fetch + schema check through script.js (plain fetch if it isn't on the page)
+    function loadData(url, schema) {
+        return window.SiteData ? window.SiteData.load(url, schema) : fetchJSON(url);
+    }
+
+    // Site-wide reduced-motion setting from script.js (OS setting when it isn't loaded)
+    function motionReduced() {
+        if (window.SiteMotion) return window.SiteMotion.reduced();
+        return !!(window.matchMedia && window.matchMedia("(prefers-reduced-motion: reduce)").matches);
+    }
+
+    // Loading / error / empty panel inside a section (no-op without script.js)
+    function showState(host, state, opts) {
+        return window.SiteData && host ? window.SiteData.showState(host, state, opts) : null;
+    }
+
+    // "As of" badge when the data came from the service worker's cache (no-op without script.js)
+    function showAsOf(host, url) {
+        return window.SiteData && host ? window.SiteData.asOf(host, url) : null;
+    }
+
+
+    // ------------------------------
+    // Data schemas (see SiteData.validate in script.js for the supported keywords)
+    // ------------------------------
+    const CELL = { type: ["number", "string", "null"] };
+    const LOCALIZED_TEXT = { type: ["string", "object"], additionalProperties: { type: "string" } };
+
+    const META_SCHEMA = {
+        type: "object",
+        properties: {
+            title: { type: "string" },
+            subtitle: { type: "string" },
+            source: { type: "string" },
+            unit: { type: "string" },
+            units: { type: "object", additionalProperties: { type: "string" } },
+            decimals: { type: "number" },
+            scale: { type: "number" },
+            max: { type: "number" },
+            prefix: { type: "string" },
+            suffix: { type: "string" },
+        },
+    };
+
+    const CHART_SPEC_SCHEMA = {
+        type: "object",
+        properties: {
+            series: {
+                type: "array",
+                items: {
+                    type: "object",
+                    required: ["key"],
+                    properties: {
+                        key: { type: "string" },
+                        label: { type: "string" },
+                        color: { type: "string" },
+                        style: { type: "string" },
+                        fill: { type: ["string", "object"] },
+                        order: { type: "number" },
+                        dataset: { type: "object" },
                     },
-                ],
+                },
             },
-            options: {
-                responsive: true,
-                maintainAspectRatio: false, // respects .chart-canvas fixed height
-                animation: { duration: 500 },
-                interaction: { mode: "index", intersect: false },
-                plugins: {
-                    legend: { display: false },
-                    tooltip: {
-                        callbacks: {
-                            label: (ctx) => {
-                                const v = ctx.raw;
-                                // Show percentage if values look like percent; fallback to raw
-                                const asPercent = typeof v === "number" && Math.abs(v) < 1000;
-                                return ` ${ctx.dataset.label}: ${asPercent ? v.toFixed(2) + "%" : v}`;
+            axes: { type: "object" },
+            legend: { type: "boolean" },
+            lastActual: { type: ["string", "number"] },
+            horizon: { type: "number" },
+            window: { type: "number" },
+        },
+    };
+
+    // {date:{...}, <key>:{...}} columns, or {labels:[...], values:[...]}
+    const CHART_SCHEMA = {
+        anyOf: [
+            {
+                type: "object",
+                required: ["date"],
+                properties: {
+                    date: { type: ["object", "array"], additionalProperties: CELL, items: CELL },
+                    meta: META_SCHEMA,
+                    chart: CHART_SPEC_SCHEMA,
+                    source: { type: "string" },
+                },
+                additionalProperties: { type: ["object", "array"], additionalProperties: CELL, items: CELL },
+                check: (raw) => Object.keys(raw.date).length && !seriesKeys(raw).length ? "no numeric series" : null,
+            },
+            {
+                type: "object",
+                required: ["labels", "values"],
+                properties: {
+                    labels: { type: "array", items: CELL },
+                    values: { type: "array", items: CELL },
+                    meta: META_SCHEMA,
+                    chart: CHART_SPEC_SCHEMA,
+                    source: { type: "string" },
+                },
+            },
+        ],
+    };
+
+    const SCHEMAS = {
+        chart: CHART_SCHEMA,
+        // backtest: {backtest: [{period, horizon, actual, forecast, error}]} rows, or chart columns
+        // (actual, forecast_h<N>, error_h<N>)
+        backtest: {
+            anyOf: [
+                {
+                    type: "object",
+                    required: ["backtest"],
+                    properties: {
+                        backtest: {
+                            type: "array",
+                            items: {
+                                type: "object",
+                                required: ["period"],
+                                properties: { period: { type: ["string", "number"] }, horizon: { type: "number" }, actual: CELL, forecast: CELL, error: CELL },
                             },
                         },
+                        meta: META_SCHEMA,
+                        chart: CHART_SPEC_SCHEMA,
+                        source: { type: "string" },
                     },
+                    check: (raw) => raw.backtest.some(r => toNum(r.forecast) !== null) ? null : "no forecasts",
                 },
-                scales: {
-                    x: {
-                        grid: {
-                            display: true,
-                            color: gridColor,
-                            drawBorder: false,
-                            tickLength: 0,
-                        },
-                        ticks: {
-                            autoSkip: false,                 // we decide which to show
-                            maxTicksLimit: labels.length,    // safe upper bound
-                            callback: function (val) {
-                                const label = this.getLabelForValue(val);
-                                const first = this.chart.data.labels[0];
-                                const lbl = String(label || "");
-                                const year = lbl.slice(0, 4);
-                                if (lbl === first) return year;   // first label always shows year
-                                if (/Q1$/.test(lbl)) return year; // only Q1s show year
-                                return "";                        // hide others
-                            },
-                        }
+                // chart columns count only with at least one forecast_h<N> column
+                Object.assign({}, CHART_SCHEMA.anyOf[0], {
+                    check: (raw) => CHART_SCHEMA.anyOf[0].check(raw)
+                        || (Object.keys(raw).some(k => FORECAST_KEY.test(k)) ? null : "no forecast_h<N> column"),
+                }),
+            ],
+        },
+        // feature4: {meta, metrics, horizons, indicators} (or accuracy / bars / labels+values / plain numbers)
+        feature4: {
+            type: "object",
+            properties: {
+                meta: META_SCHEMA,
+                unit: { type: "string" },
+                metrics: {
+                    type: "object",
+                    additionalProperties: {
+                        type: "object",
+                        properties: { label: LOCALIZED_TEXT, definition: LOCALIZED_TEXT, better: { type: "string" }, unit: { type: "string" }, decimals: { type: "number" }, max: { type: "number" } },
                     },
-                    y: {
-                        grid: {
-                            color: gridColor,
-                            drawBorder: false,
+                },
+                horizons: {
+                    type: "array",
+                    items: { anyOf: [{ type: "string" }, { type: "object", required: ["id"], properties: { id: { type: ["string", "number"] }, label: LOCALIZED_TEXT } }] },
+                },
+                indicators: {
+                    type: "array",
+                    items: {
+                        type: "object",
+                        properties: {
+                            id: { type: "string" }, label: LOCALIZED_TEXT, labelKey: { type: "string" }, metric: { type: "string" },
+                            unit: { type: "string" }, value: CELL, benchmark: CELL,
+                            values: { type: "object", additionalProperties: { anyOf: [CELL, { type: "object", properties: { value: CELL, benchmark: CELL } }] } },
                         },
-                        ticks: {
-                            callback: (v) => v + "%",
+                    },
+                },
+                accuracy: { type: "array", items: { type: "object", required: ["value"], properties: { label: { type: "string" }, value: CELL } } },
+                bars: { type: "array", items: { type: "object", required: ["value"], properties: { label: { type: "string" }, value: CELL, unit: { type: "string" } } } },
+                labels: { type: "array", items: { type: "string" } },
+                values: { type: "array", items: CELL },
+            },
+            check: (raw) => [raw.indicators, raw.accuracy, raw.bars, raw.values].some(Array.isArray) || normalizeFeature4(raw).indicators.length
+                ? null : "no indicator values (indicators, accuracy, bars or values)",
+        },
+        // feature3: [article, ...] or {articles: [...]}
+        articles: (() => {
+            // text fields: a string, { "en": …, "mn": … }, or "<field>_en" / "<field>_mn" alongside
+            const text = { type: ["string", "object", "null"], additionalProperties: { type: "string" } };
+            const keywords = { type: ["array", "object", "null"], items: { type: ["string", "object"] } };
+            const properties = { url: { type: ["string", "null"] }, date: { type: ["string", "null"] }, lang: { type: "string" }, score: CELL, keywords };
+            ["title", "headline", "summary", "text"].forEach(f => {
+                properties[f] = text;
+                ["en", "mn"].forEach(l => { properties[`${f}_${l}`] = { type: ["string", "null"] }; });
+            });
+            ["en", "mn"].forEach(l => { properties[`keywords_${l}`] = keywords; });
+            const article = {
+                type: "object",
+                properties,
+                check: (a) => ["title", "headline"].some(f => Object.keys(articleVariants(a, f)).length) ? null : "needs a title or headline",
+            };
+            return {
+                anyOf: [
+                    { type: "array", items: article },
+                    { type: "object", required: ["articles"], properties: { articles: { type: "array", items: article } } },
+                ],
+            };
+        })(),
+        // scenario explorer: {series, start, assumptions: [{id, label, unit, min, max, step, default, elasticity}]}
+        scenario: {
+            type: "object",
+            required: ["assumptions"],
+            properties: {
+                series: { type: "string" },
+                start: { type: ["string", "number"] },
+                assumptions: {
+                    type: "array",
+                    items: {
+                        type: "object",
+                        required: ["id", "min", "max", "elasticity"],
+                        properties: {
+                            id: { type: "string" }, label: LOCALIZED_TEXT, unit: { type: "string" }, decimals: { type: "number" },
+                            units: { type: "object", additionalProperties: { type: "string" } },
+                            min: { type: "number" }, max: { type: "number" }, step: { type: "number" }, default: { type: "number" },
+                            elasticity: { type: ["number", "array"], items: { type: "number" } },
                         },
+                        check: (a) => a.min < a.max ? null : "min must be below max",
                     },
                 },
             },
+            check: (raw) => raw.assumptions.length ? null : "no assumptions",
+        },
+    };
+
+    // ------------------------------
+    // Declarative chart cards
+    // ------------------------------
+    // A card is any element like
+    //   <div class="chart-card" data-chart-src="/assets/data/x.json" data-chart-type="line">
+    //     <div class="chart-canvas"><canvas></canvas></div>
+    //   </div>
+    // The data file may carry a "chart" spec describing what to draw:
+    //   "chart": {
+    //     "series": [{ "key": "gdp_yoy", "label": "GDP YoY", "color": "--chart-accent-a",
+    //                  "style": "line", "fill": "gradient" | { "to": "<other key>" } }],
+    //     "axes": { "y": { "min": 0, "max": 10, "beginAtZero": false } },
+    //     "legend": true
+    //   }
+    // Values are formatted from the file's "meta" block (see numberFormat).
+    // Without a spec, the chart type picks sensible series from the data. Series without a
+    // color take the next --chart-series-N color from the CSS palette.
+
+    // Dataset presets referenced by series[].style
+    const SERIES_STYLES = {
+        line: {
+            borderWidth: 2,
+            tension: 0.35,
+            pointRadius: 4.5,
+            pointHoverRadius: 6,
+            pointBorderWidth: 0,
+        },
+        // dashed edge of a confidence band, squares, no fill of its own
+        bound: {
+            borderWidth: 2,
+            borderDash: [2, 6],
+            tension: 0,
+            pointStyle: "rect",
+            pointRadius: 3,
+            pointHoverRadius: 4,
+            pointBorderWidth: 0,
+            spanGaps: true,
+            order: 1,
+            inLegend: false,
+        },
+        // edge of an inner fan band: no line or markers, only the fill towards its pair
+        band: {
+            borderWidth: 0,
+            tension: 0,
+            pointRadius: 0,
+            pointHoverRadius: 0,
+            spanGaps: true,
+            order: 1,
+            inLegend: false,
+        },
+    };
+
+    // Size of the --chart-series-N palette in CSS (cycled when a chart has more series)
+    function paletteSize() {
+        let n = 0;
+        while (n < 12 && getCSSVar(`--chart-series-${n + 1}`)) n++;
+        return n;
+    }
+
+    function paletteToken(i) {
+        const n = paletteSize();
+        return n ? `--chart-series-${(i % n) + 1}` : "--chart-accent-a";
+    }
+
+    // Chart types: which series to draw (given normalized data and the file's spec), plus option tweaks
+    const CHART_TYPES = {
+        // every numeric series; spec entries only restyle/relabel the keys they name
+        line: {
+            series: (data, spec) => {
+                const styled = new Map((spec.series || []).map(s => [s.key, s]));
+                const keys = data.series.map(s => s.key);
+                const ordered = [...(spec.series || []).map(s => s.key).filter(k => keys.includes(k)),
+                ...keys.filter(k => !styled.has(k))];
+                return ordered.map((key, i) => Object.assign({
+                    key,
+                    label: key,
+                    style: "line",
+                    color: paletteToken(i),
+                    fill: ordered.length === 1 ? "gradient" : undefined,
+                }, styled.get(key)));
+            },
+        },
+        // fan chart: one nested band per interval pair in the data (widest first), the main series on top,
+        // solid up to the last actual and dashed after it; spec entries restyle/relabel by key
+        forecast: {
+            series: (data, spec) => {
+                const keys = data.series.map(s => s.key);
+                const styled = new Map((spec.series || []).map(s => [s.key, s]));
+                const main = (spec.series || []).map(s => s.key).find(k => keys.includes(k) && !BAND_KEY.test(k))
+                    || keys.find(k => !BAND_KEY.test(k));
+                const color = styled.get(main)?.color || "--chart-accent-a";
+                const out = [];
+                findBands(keys).forEach((b, i) => {
+                    const params = { level: b.level };
+                    // the widest band keeps the dashed, square-marked edges; inner ones are fill only
+                    const style = i === 0 ? "bound" : "band";
+                    out.push(Object.assign({
+                        key: b.lower, label: `CI ${b.level}% Lower`, labelKey: "chart.band.lower", labelParams: params, color, style,
+                        band: { level: b.level, role: "lower" },
+                    }, styled.get(b.lower)));
+                    out.push(Object.assign({
+                        key: b.upper, label: `CI ${b.level}% Upper`, labelKey: "chart.band.upper", labelParams: params,
+                        legendLabel: `CI ${b.level}%`, legendKey: "chart.band.name", color, style,
+                        band: { level: b.level, role: "upper", pair: b.lower },
+                        fill: { to: b.lower },
+                        dataset: { inLegend: true },
+                    }, styled.get(b.upper)));
+                });
+                if (main) out.push(Object.assign({ key: main, label: main, color, style: "line", order: 0, forecast: true }, styled.get(main)));
+                return out;
+            },
+            configure: (config, data, spec) => {
+                const last = lastActualIndex(data, spec, findBands(data.series.map(s => s.key)));
+                if (last < 0) return;
+                config.data.datasets.forEach(ds => {
+                    if (!ds.forecast) return;
+                    ds.segment = { borderDash: (c) => c.p1DataIndex > last ? [6, 4] : undefined };
+                });
+                config.plugins = [lastActualMarker];
+                config.options.plugins.lastActualMarker = { index: last };
+            },
+            options: {
+                elements: {
+                    line: { borderWidth: 2 },
+                    point: { hoverBorderWidth: 0 }
+                },
+            },
+        },
+        // backtest: actuals against the forecasts made `horizon` periods earlier (one horizon at a time),
+        // shaded error bars between the two and rolling error stats under the chart
+        backtest: {
+            schema: SCHEMAS.backtest,
+            normalize: normalizeBacktest,
+            series: (data, spec) => {
+                const horizons = backtestHorizons(data);
+                const h = horizons.includes(Number(spec.horizon)) ? Number(spec.horizon) : horizons[0];
+                spec.horizon = h;
+                const freq = data.timeline?.freq || "Q";
+                const styled = new Map((spec.series || []).map(s => [s.key, s]));
+                return [
+                    Object.assign({ key: "actual", label: "Actual", labelKey: "chart.backtest.actual", color: "--chart-accent-a", style: "line", order: 0, backtest: "actual" }, styled.get("actual")),
+                    Object.assign({
+                        key: `forecast_h${h}`, label: "Forecast", labelKey: "chart.backtest.forecast",
+                        labelParams: () => ({ horizon: horizonLabel(h, freq) }),
+                        color: "--chart-accent-b", style: "line", dataset: { borderDash: [6, 4] }, backtest: "forecast",
+                    }, styled.get(`forecast_h${h}`)),
+                    // kept for the tooltip and the exports; drawn as the error bars
+                    { key: `error_h${h}`, label: "Error", labelKey: "chart.backtest.error", style: "line", dataset: { hidden: true, inLegend: false }, backtest: "error" },
+                ];
+            },
+            configure: (config, data, spec, fmt) => {
+                config.plugins = [backtestErrorBars];
+                config.options.plugins.tooltip.callbacks.afterLabel = (ctx) => {
+                    if (ctx.dataset.backtest !== "forecast") return "";
+                    const err = ctx.chart.data.datasets.find(ds => ds.backtest === "error")?.data[ctx.dataIndex];
+                    return err == null ? "" : `  ${t("chart.backtest.errorLine", "Error (actual − forecast): {value}", { value: signedValue(err, fmt) })}`;
+                };
+            },
+            decorate: (chart) => {
+                renderHorizonSwitch(chart);
+                renderBacktestStats(chart);
+            },
+        },
+    };
+
+    // Interval columns: "ci80%_lower" / "ci80_upper" (any level, case-insensitive)
+    const BAND_KEY = /^ci(\d+(?:\.\d+)?)%?_(lower|upper)$/i;
+
+    // Complete lower/upper pairs among the keys, widest level first
+    function findBands(keys) {
+        const levels = new Map();
+        keys.forEach(key => {
+            const m = key.match(BAND_KEY);
+            if (!m) return;
+            const level = Number(m[1]);
+            const band = levels.get(level) || { level };
+            band[m[2].toLowerCase()] = key;
+            levels.set(level, band);
         });
+        return [...levels.values()].filter(b => b.lower && b.upper).sort((a, b) => b.level - a.level);
+    }
 
-        // Update chart on theme change (if your site toggles [data-theme])
-        const root = document.documentElement;
-        const obs = new MutationObserver(() => {
-            const newGrid = getCSSVar("--chart-grid", root, gridColor);
-            const newAccent = getCSSVar("--chart-accent-a", root, accentA);
-            chart.data.datasets[0].borderColor = newAccent;
-            chart.options.scales.x.grid.color = newGrid;
-            chart.options.scales.y.grid.color = newGrid;
-            chart.update();
+    // Index of the last observed period: the spec's "lastActual" if given, otherwise the
+    // period just before the first one where any band opens up (-1 when there is none)
+    function lastActualIndex(data, spec, bands) {
+        if (spec.lastActual != null) {
+            const p = parsePeriod(spec.lastActual);
+            const i = data.labels.indexOf(p ? periodLabel(p) : String(spec.lastActual));
+            if (i >= 0) return i;
+        }
+        const columns = new Map(data.series.map(s => [s.key, s.values]));
+        const open = data.labels.findIndex((_, i) => bands.some(b => {
+            const lo = columns.get(b.lower)?.[i];
+            const hi = columns.get(b.upper)?.[i];
+            return lo != null && hi != null && hi > lo;
+        }));
+        return open > 0 ? open - 1 : -1;
+    }
+
+    // Dashed vertical line at the last actual period, labelled with that period
+    const lastActualMarker = {
+        id: "lastActualMarker",
+        afterDatasetsDraw(chart, _args, opts) {
+            const i = opts?.index;
+            if (i == null || i < 0 || i >= chart.data.labels.length) return;
+            const { ctx, chartArea, scales } = chart;
+            const x = scales.x.getPixelForValue(i);
+            if (x < chartArea.left || x > chartArea.right) return;
+            const theme = chart.$theme || chartTheme();
+            const color = theme.text;
+
+            ctx.save();
+            ctx.strokeStyle = color;
+            ctx.lineWidth = 1;
+            ctx.setLineDash([4, 4]);
+            ctx.beginPath();
+            ctx.moveTo(x, chartArea.top);
+            ctx.lineTo(x, chartArea.bottom);
+            ctx.stroke();
+
+            const text = t("chart.forecast.lastActual", "Last actual · {period}", { period: formatPeriod(chart.data.labels[i]) });
+            ctx.font = `600 11px ${theme.displayFont}`;
+            ctx.fillStyle = color;
+            ctx.textBaseline = "top";
+            // right of the line when it fits, otherwise left of it
+            const fits = x + 6 + ctx.measureText(text).width <= chartArea.right;
+            ctx.textAlign = fits ? "left" : "right";
+            ctx.fillText(text, fits ? x + 6 : x - 6, chartArea.top + 4);
+            ctx.restore();
+        },
+    };
+
+    // ---------- Backtest chart ----------
+    // A backtest file lists, per period, the actual value and the forecast made `horizon` periods
+    // earlier (and optionally its error; else actual − forecast):
+    //   { "backtest": [{ "period": "2024Q1", "horizon": 1, "actual": 5.2, "forecast": 4.8, "error": 0.4 }, …],
+    //     "chart": { "horizon": 1, "window": 8 } }
+    // or the same as chart columns: { "date": {…}, "actual": {…}, "forecast_h1": {…}, "error_h1": {…} }.
+    // "chart.horizon" is the one shown first; "chart.window" the number of latest periods the error
+    // stats cover (default 8).
+    const FORECAST_KEY = /^forecast_h(\d+)$/;
+
+    // Rows -> {date, actual, forecast_h<N>, error_h<N>} columns, then normalizeData; errors the file
+    // leaves out are filled in as actual − forecast
+    function normalizeBacktest(raw) {
+        let cols = raw;
+        if (Array.isArray(raw?.backtest)) {
+            cols = { date: {}, actual: {} };
+            const index = new Map();
+            raw.backtest.forEach(r => {
+                const period = String(r.period);
+                if (!index.has(period)) {
+                    index.set(period, index.size);
+                    cols.date[index.get(period)] = period;
+                }
+                const i = index.get(period);
+                const h = r.horizon ?? 1;
+                if (r.actual != null) cols.actual[i] = r.actual;
+                if (r.forecast != null) (cols[`forecast_h${h}`] ||= {})[i] = r.forecast;
+                if (r.error != null) (cols[`error_h${h}`] ||= {})[i] = r.error;
+            });
+        }
+        const data = normalizeData(cols);
+        const column = (key) => data.series.find(s => s.key === key)?.values;
+        const actual = column("actual") || data.labels.map(() => null);
+        backtestHorizons(data).forEach(h => {
+            const forecast = column(`forecast_h${h}`);
+            const given = column(`error_h${h}`);
+            const values = forecast.map((f, i) => given?.[i] ?? (f != null && actual[i] != null ? actual[i] - f : null));
+            if (given) given.splice(0, given.length, ...values);
+            else data.series.push({ key: `error_h${h}`, values });
         });
-        obs.observe(root, { attributes: true, attributeFilter: ["data-theme"] });
+        return data;
     }
 
-    async function initFeature5Card({
-        cardSelector = "#feature5",
-        canvasSelector = "#chart-feature5",
-        dataUrl = "assets/data/feature5.json",
-    } = {}) {
-        if (typeof Chart === "undefined") return;
+    // Horizons with forecast columns, shortest first
+    function backtestHorizons(data) {
+        return data.series
+            .map(s => s.key.match(FORECAST_KEY))
+            .filter(Boolean)
+            .map(m => Number(m[1]))
+            .sort((a, b) => a - b);
+    }
 
-        const card = document.querySelector(cardSelector);
-        const canvas = document.querySelector(canvasSelector);
-        if (!card || !canvas) return;
+    // "1Q ahead" / "12M ahead" (by the data's frequency)
+    function horizonLabel(h, freq) {
+        const unit = { A: "Y", Q: "Q", M: "M", D: "D" }[freq] || "Q";
+        return t(`chart.backtest.horizon.${freq}`, `${h}${unit} ahead`, { n: h });
+    }
 
-        // Load
-        let raw;
-        try {
-            const res = await fetch(dataUrl, { cache: "no-cache" });
-            if (!res.ok) throw new Error(res.status + " " + res.statusText);
-            raw = await res.json();
-        } catch (e) {
-            console.error("[feature.js] Failed to load", dataUrl, e);
+    function signedValue(v, fmt) {
+        return (v > 0 ? "+" : "") + formatValue(v, fmt, { withUnit: true });
+    }
+
+    // Shaded bar from the forecast to the actual at every period that has both
+    const backtestErrorBars = {
+        id: "backtestErrorBars",
+        beforeDatasetsDraw(chart) {
+            const sets = chart.data.datasets;
+            const ai = sets.findIndex(ds => ds.backtest === "actual");
+            const fi = sets.findIndex(ds => ds.backtest === "forecast");
+            if (ai < 0 || fi < 0 || !chart.isDatasetVisible(ai) || !chart.isDatasetVisible(fi)) return;
+            const { ctx, chartArea, scales } = chart;
+            const n = chart.data.labels.length;
+            const width = clamp((chartArea.right - chartArea.left) / Math.max(n, 1) * 0.5, 2, 14);
+
+            ctx.save();
+            ctx.beginPath();
+            ctx.rect(chartArea.left, chartArea.top, chartArea.right - chartArea.left, chartArea.bottom - chartArea.top);
+            ctx.clip();
+            ctx.fillStyle = rgba(sets[fi].borderColor, 0.22);
+            sets[ai].data.forEach((a, i) => {
+                const f = sets[fi].data[i];
+                if (a == null || f == null) return;
+                const x = scales.x.getPixelForValue(i);
+                const y1 = scales.y.getPixelForValue(a);
+                const y2 = scales.y.getPixelForValue(f);
+                ctx.fillRect(x - width / 2, Math.min(y1, y2), width, Math.max(1, Math.abs(y1 - y2)));
+            });
+            ctx.restore();
+        },
+    };
+
+    // Buttons for the horizons in the file (only when there are several)
+    function renderHorizonSwitch(chart) {
+        const card = chart.$card;
+        card.querySelector(".chart-horizons")?.remove();
+        const horizons = backtestHorizons(chart.$data);
+        if (horizons.length < 2) return;
+
+        const group = document.createElement("div");
+        group.className = "chart-horizons";
+        group.setAttribute("role", "group");
+        group.setAttribute("aria-label", t("chart.backtest.horizon", "Forecast horizon"));
+        const freq = chart.$data.timeline?.freq || "Q";
+        horizons.forEach(h => {
+            const btn = document.createElement("button");
+            btn.type = "button";
+            btn.className = "horizon-item";
+            btn.dataset.horizon = String(h);
+            btn.textContent = horizonLabel(h, freq);
+            btn.setAttribute("aria-pressed", String(h === chart.$spec.horizon));
+            group.appendChild(btn);
+        });
+        group.addEventListener("click", (e) => {
+            const btn = e.target.closest(".horizon-item");
+            if (btn) setBacktestHorizon(chart, Number(btn.dataset.horizon));
+        });
+        const anchor = card.querySelector(".chart-legend") || card.querySelector(".chart-canvas");
+        anchor.parentNode.insertBefore(group, anchor);
+    }
+
+    function setBacktestHorizon(chart, h) {
+        const spec = chart.$spec;
+        const typeDef = CHART_TYPES.backtest;
+        spec.horizon = h;
+        spec.series = typeDef.series(chart.$data, spec);
+        const config = buildChartConfig(chart.$data, spec, typeDef, chart.$format);
+        chart.data.datasets = config.data.datasets;
+        chart.update();
+        renderLegend(chart.$card, chart, spec);
+        typeDef.decorate(chart);
+        chart.$card.querySelector(".chart-horizons .horizon-item[aria-pressed=\"true\"]")?.focus();
+    }
+
+    // Mean absolute error, RMSE and mean error over the latest `window` periods with an error
+    function renderBacktestStats(chart) {
+        const foot = chart.$card.querySelector(".chart-foot");
+        if (!foot) return;
+        let el = foot.querySelector(".backtest-stats");
+        if (!el) {
+            el = document.createElement("p");
+            el.className = "backtest-stats";
+            foot.prepend(el);
+        }
+        const errors = (chart.data.datasets.find(ds => ds.backtest === "error")?.data || []).filter(v => v != null);
+        const recent = errors.slice(-(Number(chart.$spec.window) || 8));
+        if (!recent.length) {
+            el.hidden = true;
             return;
         }
+        el.hidden = false;
+        const mean = (xs) => xs.reduce((sum, x) => sum + x, 0) / xs.length;
+        const fmt = chart.$format;
+        el.textContent = t("chart.backtest.stats", "Latest {n} periods · MAE {mae} · RMSE {rmse} · mean error {bias}", {
+            n: recent.length,
+            mae: formatValue(mean(recent.map(Math.abs)), fmt, { withUnit: true }),
+            rmse: formatValue(Math.sqrt(mean(recent.map(e => e * e))), fmt, { withUnit: true }),
+            bias: signedValue(mean(recent), fmt),
+        });
+    }
 
-        const { labels, yoy, upper, lower } = normalizeFeature5(raw);
-        const root = document.documentElement;
+    function registerChartType(name, def) {
+        CHART_TYPES[name] = def;
+    }
 
-        // Colors (reuse your variables)
-        const gridColor = getCSSVar("--chart-grid", root, "rgba(127,127,127,0.15)");
-        const accentA = getCSSVar("--chart-accent-a", root) || "#8b5cf6"; // for CI lines
-        const accentB = getCSSVar("--chart-accent-b", root) || "#1a9fff"; // main YoY line
-
-        const ctx = canvas.getContext("2d");
-
-        const chart = new Chart(ctx, {
-            type: "line",
-            data: {
-                labels,
-                datasets: [
-                    // 0) CI Lower — dashed, squares, no fill
-                    {
-                        label: "CI 95% Lower",
-                        data: lower,
-                        borderColor: accentA,
-                        borderWidth: 2,
-                        borderDash: [2, 6],
-                        fill: false,
-                        backgroundColor: "transparent",
-                        tension: 0,
-                        pointStyle: "rect",
-                        pointRadius: 3,
-                        pointHoverRadius: 4,
-                        pointBorderWidth: 0,
-                        pointBackgroundColor: accentA,
-                        pointBorderColor: accentA,
-                        spanGaps: true,
-                        order: 1
-                    },
+    // Every chart created by initChartCard, so theme changes can reach all of them
+    const liveCharts = new Set();
+
+    // Turn one spec series into a Chart.js dataset
+    function buildDataset(series, values, keyIndex) {
+        const color = resolveColor(series.color);
+        const ds = Object.assign({}, SERIES_STYLES[series.style] || SERIES_STYLES.line, {
+            seriesKey: series.key,
+            data: values,
+            borderColor: color,
+            pointBackgroundColor: color,
+            pointBorderColor: color,
+            colorToken: series.color || "--chart-accent-a",
+        }, series.dataset || {});
+        if (series.order != null) ds.order = series.order;
+        labelDataset(ds, series);
+        if (series.band) ds.band = series.band;
+        if (series.forecast) ds.forecast = true;
+        if (series.backtest) ds.backtest = series.backtest;
+
+        const fill = series.fill;
+        if (fill === "gradient") {
+            ds.fill = true;
+            ds.backgroundColor = (c) => {
+                const area = c.chart.chartArea;
+                if (!area) return null;
+                return gradientFill(c.chart.ctx, area, c.dataset.borderColor);
+            };
+        } else if (fill && fill.to != null && keyIndex.has(fill.to)) {
+            ds.fill = keyIndex.get(fill.to);
+            ds.backgroundColor = (c) => bandFill(c.chart.ctx, c.chart.chartArea, c.dataset.borderColor);
+        } else {
+            ds.fill = false;
+            ds.backgroundColor = "transparent";
+        }
+        return ds;
+    }
 
-                    // 1) CI Upper — dashed, squares, **fills down to Lower (-1)** with a gradient
-                    {
-                        label: "CI 95% Upper",
-                        data: upper,
-                        borderColor: accentA,
-                        borderWidth: 2,
-                        borderDash: [2, 6],
-                        // Fill to previous dataset (index -1) = CI Lower
-                        fill: "-1",
-                        backgroundColor: (ctx) => {
-                            const area = ctx.chart.chartArea;
-                            if (!area) return rgba(accentA, 0.12);
-                            const g = ctx.chart.ctx.createLinearGradient(0, area.top, 0, area.bottom);
-                            // nice, subtle band — tweak alphas as you like
-                            g.addColorStop(0, rgba(accentA, 0.18)); // top
-                            g.addColorStop(1, rgba(accentA, 0.06)); // bottom
-                            return g;
-                        },
-                        tension: 0,
-                        pointStyle: "rect",
-                        pointRadius: 3,
-                        pointHoverRadius: 4,
-                        pointBorderWidth: 0,
-                        pointBackgroundColor: accentA,
-                        pointBorderColor: accentA,
-                        spanGaps: true,
-                        order: 1
-                    },
+    // Dataset and legend text in the active language: the series' labelKey (with labelParams), else
+    // "chart.series.<key>" when i18n.json has it, else the spec's label. Re-run on language changes.
+    function labelDataset(ds, series) {
+        const auto = `chart.series.${series.key}`;
+        const key = series.labelKey || (window.SiteI18n?.has(auto) ? auto : null);
+        const text = series.label ?? series.key;
+        const params = typeof series.labelParams === "function" ? series.labelParams() : series.labelParams;
+        ds.label = key ? t(key, text, params) : text;
+        if (series.legendKey) ds.legendLabel = t(series.legendKey, series.legendLabel, params);
+        else if (series.legendLabel) ds.legendLabel = series.legendLabel;
+    }
 
-                    // 2) Main YoY line — solid, sits on top of the band
-                    {
-                        label: "GDP YoY",
-                        data: yoy,
-                        borderColor: accentA,
-                        borderWidth: 2,
-                        fill: false,                 // no area fill under YoY
-                        backgroundColor: "transparent",
-                        tension: 0.35,
-                        pointRadius: 4.5,
-                        pointHoverRadius: 6,
-                        pointBackgroundColor: accentA,
-                        pointBorderColor: accentA,
-                        pointBorderWidth: 0,
-                        order: 3
+    function buildChartConfig(data, spec, typeDef, fmt) {
+        const { labels, timeline } = data;
+        const columns = new Map(data.series.map(s => [s.key, s.values]));
+        const keyIndex = new Map(spec.series.map((s, i) => [s.key, i]));
+        const datasets = spec.series.map(s => buildDataset(s, columns.get(s.key) || labels.map(() => null), keyIndex));
+
+        // Long monthly/daily series: smaller (or no) markers; overlays of mixed frequencies
+        // connect the coarser series across the empty slots between its periods
+        datasets.forEach((ds, i) => {
+            if (spec.series[i].dataset?.pointRadius != null) return;
+            if (labels.length > 60) ds.pointRadius = 0;
+            else if (labels.length > 24) ds.pointRadius = Math.min(ds.pointRadius, 2.5);
+        });
+        if (timeline?.mixed) datasets.forEach(ds => { ds.spanGaps = true; });
+
+        const yAxis = (spec.axes && spec.axes.y) || {};
+        const yTitle = unitLabel(fmt);
+
+        const options = {
+            responsive: true,
+            maintainAspectRatio: false, // respects .chart-canvas fixed height
+            animation: motionReduced() ? false : { duration: 500 },
+            interaction: { mode: "index", intersect: false },
+            plugins: {
+                legend: { display: false }, // replaced by the HTML legend (renderLegend)
+                tooltip: {
+                    // a band shows once, as "lower – upper" on its upper edge, and only where it is open
+                    filter: (item) => item.raw !== null && item.dataset.band?.role !== "lower"
+                        && !(item.dataset.band && bandLow(item) >= item.raw),
+                    callbacks: {
+                        title: (items) => items.length ? formatPeriod(items[0].label) : "",
+                        label: (ctx) => {
+                            if (ctx.dataset.band) {
+                                const lo = formatValue(bandLow(ctx), fmt);
+                                return ` ${ctx.dataset.legendLabel || ctx.dataset.label}: ${lo} – ${formatValue(ctx.raw, fmt, { withUnit: true })}`;
+                            }
+                            return ` ${ctx.dataset.label}: ${formatValue(ctx.raw, fmt, { withUnit: true })}`;
+                        },
                     },
-                ]
-            },
-            options: {
-                responsive: true,
-                maintainAspectRatio: false,
-                interaction: { mode: "index", intersect: false },
-                plugins: {
-                    legend: { display: false },
-                    tooltip: {
-                        callbacks: {
-                            label: (ctx) => ` ${ctx.dataset.label}: ${Number(ctx.raw).toFixed(2)}%`
-                        }
-                    }
                 },
-                elements: {
-                    line: { borderWidth: 2 },
-                    point: { hoverBorderWidth: 0 }
+            },
+            scales: {
+                x: Object.assign({
+                    grid: { display: true, drawBorder: false, tickLength: 0 },
+                }, timeAxis(timeline)),
+                y: {
+                    min: yAxis.min,
+                    max: yAxis.max,
+                    beginAtZero: !!yAxis.beginAtZero,
+                    grid: { drawBorder: false },
+                    title: { display: !!yTitle, text: yTitle },
+                    ticks: { callback: (v) => formatValue(v, fmt, { trim: true }) },
                 },
-                scales: {
-                    x: {
-                        grid: { display: true, color: gridColor, drawBorder: false, tickLength: 0 },
-                        ticks: {
-                            autoSkip: false,
-                            maxTicksLimit: labels.length,
-                            callback: function (val) {
-                                const label = this.getLabelForValue(val);
-                                const first = this.chart.data.labels[0];
-                                const lbl = String(label || "");
-                                const year = lbl.slice(0, 4);
-                                if (lbl === first) return year;    // first shows year
-                                if (/Q1$/.test(lbl)) return year;  // Q1s show year
-                                return "";                          // others hidden
-                            }
-                        }
-                    },
-                    y: {
-                        grid: { color: gridColor, drawBorder: false },
-                        ticks: { callback: (v) => v + "%" }
-                    }
-                }
+            },
+        };
+        if (typeDef.options) Object.assign(options, typeDef.options);
+
+        const config = { type: "line", data: { labels, datasets }, options };
+        if (typeDef.configure) typeDef.configure(config, data, spec, fmt);
+        applyChartTheme(config);
+        return config;
+    }
+
+    // Lower edge of the band a tooltip item's (upper edge) dataset belongs to
+    function bandLow(item) {
+        const pair = item.chart.data.datasets.find(ds => ds.seriesKey === item.dataset.band.pair);
+        return pair ? pair.data[item.dataIndex] : null;
+    }
+
+    // Optional: set title/subtitle/source from JSON meta if present
+    function applyCardMeta(card, raw) {
+        const meta = raw.meta || {};
+        const titleEl = card.querySelector(".chart-title");
+        const subEl = card.querySelector(".chart-sub");
+        const srcEl = card.querySelector(".chart-src");
+        if (meta.title && titleEl && !titleEl.getAttribute("data-i18n")) titleEl.textContent = meta.title;
+        if (meta.subtitle && subEl && !subEl.getAttribute("data-i18n")) subEl.textContent = meta.subtitle;
+        if ((raw.source || meta.source) && srcEl && !srcEl.getAttribute("data-i18n")) {
+            srcEl.textContent = t("chart.source", "Source: {source}", { source: raw.source || meta.source });
+        }
+    }
+
+    async function initChartCard(card, { src, type } = {}) {
+        if (typeof Chart === "undefined") {
+            console.warn("[feature.js] Chart.js is not loaded. Make sure /assets/js/chart.js is included before this file.");
+            return null;
+        }
+        const dataUrl = src || card?.dataset.chartSrc;
+        const canvas = card?.querySelector("canvas");
+        if (!card || !canvas || !dataUrl) {
+            console.warn("[feature.js] Chart card, canvas or data-chart-src missing:", card);
+            return null;
+        }
+        const typeName = type || card.dataset.chartType || "line";
+        const typeDef = CHART_TYPES[typeName];
+        if (!typeDef) {
+            console.warn("[feature.js] Unknown data-chart-type:", typeName);
+            return null;
+        }
+
+        // Load data (skeleton over the canvas until then; error panel with retry if it fails)
+        const host = card.querySelector(".chart-canvas");
+        showState(host, "loading");
+        let raw;
+        try {
+            raw = await loadData(dataUrl, typeDef.schema || SCHEMAS.chart);
+        } catch (err) {
+            console.error("[feature.js] Failed to load data:", dataUrl, err.message);
+            showState(host, "error", { onRetry: () => initChartCard(card, { src, type }) });
+            return null;
+        }
+        const data = (typeDef.normalize || normalizeData)(raw);
+        if (!data.labels.length || !data.series.length) {
+            showState(host, "empty");
+            return null;
+        }
+        showState(host, null);
+        showAsOf(card.querySelector(".chart-foot"), dataUrl);
+
+        applyCardMeta(card, raw);
+        const spec = Object.assign({}, raw.chart);
+        spec.series = typeDef.series(data, spec);
+
+        const fmt = numberFormat(raw.meta);
+        const chart = new Chart(canvas.getContext("2d"), buildChartConfig(data, spec, typeDef, fmt));
+        chart.$card = card;
+        chart.$format = fmt;
+        chart.$meta = raw.meta || {};
+        chart.$source = raw.source;
+        chart.$spec = spec;
+        chart.$data = data;
+        chart.$type = typeDef;
+        liveCharts.add(chart);
+        card.chart = chart;
+        renderLegend(card, chart, spec);
+        renderExportMenu(card, chart);
+        if (typeDef.decorate) typeDef.decorate(chart);
+        if (card.dataset.scenarioSrc) startScenarioExplorer(chart, card.dataset.scenarioSrc);
+        return chart;
+    }
+
+    // Clickable legend above the canvas; each button shows/hides its series.
+    // Shown when more than one series can appear in it (or when the spec sets "legend": true/false).
+    function renderLegend(card, chart, spec) {
+        card.querySelector(".chart-legend")?.remove();
+        const entries = chart.data.datasets
+            .map((ds, i) => ({ ds, i }))
+            .filter(({ ds }) => ds.inLegend !== false);
+        if (!(spec.legend ?? entries.length > 1)) return;
+
+        const list = document.createElement("div");
+        list.className = "chart-legend";
+        list.setAttribute("role", "group");
+        list.setAttribute("aria-label", t("chart.legend", "Series (show or hide)"));
+        entries.forEach(({ ds, i }) => {
+            const btn = document.createElement("button");
+            btn.type = "button";
+            btn.className = "legend-item";
+            btn.dataset.index = String(i);
+            const sw = document.createElement("span");
+            sw.className = "swatch";
+            sw.setAttribute("aria-hidden", "true");
+            btn.append(sw, document.createTextNode(ds.legendLabel || ds.label));
+            list.appendChild(btn);
+        });
+        list.addEventListener("click", (e) => {
+            const btn = e.target.closest(".legend-item");
+            if (!btn) return;
+            const i = Number(btn.dataset.index);
+            const show = !chart.isDatasetVisible(i);
+            chart.setDatasetVisibility(i, show);
+            // a band's legend entry also hides/shows its other edge
+            const pair = chart.data.datasets[i].band?.pair;
+            chart.data.datasets.forEach((ds, j) => { if (pair && ds.seriesKey === pair) chart.setDatasetVisibility(j, show); });
+            chart.update();
+            syncLegend(chart);
+        });
+
+        const canvasWrap = card.querySelector(".chart-canvas");
+        canvasWrap.parentNode.insertBefore(list, canvasWrap);
+        syncLegend(chart);
+    }
+
+    // Reflect current colors and visibility in the HTML legend
+    function syncLegend(chart) {
+        const list = chart.$card?.querySelector(".chart-legend");
+        if (!list) return;
+        list.querySelectorAll(".legend-item").forEach(btn => {
+            const i = Number(btn.dataset.index);
+            const ds = chart.data.datasets[i];
+            btn.querySelector(".swatch").style.background = ds.band ? rgba(ds.borderColor, 0.35) : ds.borderColor;
+            btn.setAttribute("aria-pressed", String(chart.isDatasetVisible(i)));
+        });
+    }
+
+    // ------------------------------
+    // Chart export (CSV / JSON / PNG)
+    // ------------------------------
+    function downloadBlob(blob, filename) {
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement("a");
+        a.href = url;
+        a.download = filename;
+        document.body.appendChild(a);
+        a.click();
+        a.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+
+    // "Economic Growth" -> "Economic Growth (2025Q3).csv"; keeps Cyrillic, drops characters
+    // that are not allowed in file names
+    function exportFileName(card, chart, ext) {
+        const title = card.querySelector(".chart-title")?.textContent.trim() || card.id || t("chart.export.file", "chart");
+        const labels = chart.data.labels;
+        const last = labels.length ? ` (${labels[labels.length - 1]})` : "";
+        return `${title}${last}`.replace(/[\\/:*?"<>|]+/g, "").replace(/\s+/g, " ").trim() + "." + ext;
+    }
+
+    // Rows of the chart as shown: period plus every dataset (hidden ones too, e.g. CI bounds)
+    function exportTable(chart) {
+        const datasets = chart.data.datasets;
+        const header = [t("chart.export.period", "Period"), ...datasets.map(ds => ds.label || ds.seriesKey)];
+        const rows = chart.data.labels.map((label, i) => [label, ...datasets.map(ds => ds.data[i] ?? null)]);
+        return { header, rows };
+    }
+
+    function toCSV({ header, rows }) {
+        const cell = (v) => {
+            if (v === null || v === undefined) return "";
+            const str = String(v);
+            return /[",\n;]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+        };
+        // BOM so Excel opens Cyrillic headers as UTF-8
+        return "\ufeff" + [header, ...rows].map(r => r.map(cell).join(",")).join("\r\n") + "\r\n";
+    }
+
+    function toExportJSON(card, chart) {
+        const fmt = chart.$format;
+        return {
+            title: card.querySelector(".chart-title")?.textContent.trim() || "",
+            source: card.querySelector(".chart-src")?.textContent.trim() || "",
+            lang: activeLang(),
+            unit: unitLabel(fmt) || fmt.suffix || "",
+            labels: chart.data.labels,
+            series: chart.data.datasets.map(ds => ({ key: ds.seriesKey, label: ds.label, values: ds.data })),
+        };
+    }
+
+    function loadImage(src) {
+        return new Promise((resolve) => {
+            const img = new Image();
+            img.onload = () => resolve(img);
+            img.onerror = () => resolve(null);
+            img.src = src;
+        });
+    }
+
+    // The rendered chart on the page background, with title/subtitle above and the
+    // source line plus the brand mark below
+    async function chartToPNG(card, chart) {
+        const src = chart.canvas;
+        const r = src.width / (src.clientWidth || src.width) || 1; // device pixel ratio of the chart
+        const pad = 20 * r, headH = 58 * r, footH = 40 * r;
+        const out = document.createElement("canvas");
+        out.width = src.width + pad * 2;
+        out.height = headH + src.height + footH;
+        const ctx = out.getContext("2d");
+        const root = document.documentElement;
+        const display = activeLang() === "mn" ? '"Science Gothic", "Exo 2", Inter, sans-serif' : "Orbitron, Inter, sans-serif";
+
+        ctx.fillStyle = getCSSVar("--bg", root, "#ffffff");
+        ctx.fillRect(0, 0, out.width, out.height);
+
+        const title = card.querySelector(".chart-title")?.textContent.trim() || "";
+        const subs = Array.from(card.querySelectorAll(".chart-sub")).map(el => el.textContent.trim()).filter(Boolean);
+        ctx.textBaseline = "alphabetic";
+        ctx.fillStyle = getCSSVar("--fg", root, "#0b1220");
+        ctx.font = `400 ${18 * r}px ${display}`;
+        ctx.fillText(title, pad, pad + 14 * r);
+        ctx.fillStyle = getCSSVar("--muted", root, "#5b6475");
+        ctx.font = `300 ${12 * r}px Inter, sans-serif`;
+        ctx.fillText(subs.join(" · "), pad, pad + 32 * r);
+
+        ctx.drawImage(src, pad, headH);
+
+        const footY = headH + src.height;
+        const source = card.querySelector(".chart-src")?.textContent.trim() || "";
+        ctx.fillText(source, pad, footY + 24 * r);
+
+        // brand mark: gradient rounded square with the white glyph
+        const size = 24 * r, x = out.width - pad - size, y = footY + 8 * r;
+        const grad = ctx.createLinearGradient(x, y, x + size, y + size);
+        grad.addColorStop(0, getCSSVar("--primary", root, "#1a9fff"));
+        grad.addColorStop(1, getCSSVar("--secondary", root, "#8b5cf6"));
+        ctx.fillStyle = grad;
+        ctx.beginPath();
+        if (ctx.roundRect) ctx.roundRect(x, y, size, size, 5 * r); else ctx.rect(x, y, size, size);
+        ctx.fill();
+        const logo = await loadImage("/assets/logo.svg");
+        if (logo) {
+            ctx.save();
+            ctx.filter = "brightness(0) invert(1)";
+            ctx.drawImage(logo, x + 4 * r, y + 4 * r, size - 8 * r, size - 8 * r);
+            ctx.restore();
+        }
+
+        return new Promise(resolve => out.toBlob(resolve, "image/png"));
+    }
+
+    async function exportChart(card, chart, kind) {
+        if (kind === "csv") {
+            downloadBlob(new Blob([toCSV(exportTable(chart))], { type: "text/csv;charset=utf-8" }), exportFileName(card, chart, "csv"));
+        } else if (kind === "json") {
+            const json = JSON.stringify(toExportJSON(card, chart), null, 2);
+            downloadBlob(new Blob([json], { type: "application/json" }), exportFileName(card, chart, "json"));
+        } else if (kind === "png") {
+            const blob = await chartToPNG(card, chart);
+            if (blob) downloadBlob(blob, exportFileName(card, chart, "png"));
+        }
+    }
+
+    // "Export" button in the card's top-right corner with a small CSV / JSON / PNG menu
+    function renderExportMenu(card, chart) {
+        if (card.querySelector(".chart-export")) return;
+        const wrap = document.createElement("div");
+        wrap.className = "chart-export";
+
+        const toggle = i18nEl("button", "chart.export.button", "Export", "export-toggle");
+        toggle.type = "button";
+        toggle.setAttribute("aria-haspopup", "true");
+        toggle.setAttribute("aria-expanded", "false");
+
+        const menu = document.createElement("div");
+        menu.className = "export-menu";
+        menu.setAttribute("role", "menu");
+        menu.hidden = true;
+        [["csv", "CSV"], ["json", "JSON"], ["png", "PNG"]].forEach(([kind, fallback]) => {
+            const item = i18nEl("button", `chart.export.${kind}`, fallback, "export-item");
+            item.type = "button";
+            item.setAttribute("role", "menuitem");
+            item.dataset.kind = kind;
+            menu.appendChild(item);
+        });
+
+        const setOpen = (open) => {
+            menu.hidden = !open;
+            toggle.setAttribute("aria-expanded", String(open));
+            if (open) menu.querySelector(".export-item")?.focus();
+        };
+        toggle.addEventListener("click", () => setOpen(menu.hidden));
+        menu.addEventListener("click", (e) => {
+            const item = e.target.closest(".export-item");
+            if (!item) return;
+            setOpen(false);
+            toggle.focus();
+            exportChart(card, chart, item.dataset.kind).catch(err => console.error("[feature.js] Export failed:", err));
+        });
+        wrap.addEventListener("keydown", (e) => {
+            if (e.key === "Escape" && !menu.hidden) { setOpen(false); toggle.focus(); }
+            if ((e.key === "ArrowDown" || e.key === "ArrowUp") && !menu.hidden) {
+                e.preventDefault();
+                const items = Array.from(menu.querySelectorAll(".export-item"));
+                const i = items.indexOf(document.activeElement);
+                items[(i + (e.key === "ArrowDown" ? 1 : -1) + items.length) % items.length].focus();
             }
         });
+        document.addEventListener("click", (e) => { if (!wrap.contains(e.target)) setOpen(false); });
 
-        // Theme updates (if you toggle themes)
-        const obs = new MutationObserver(() => {
-            const newGrid = getCSSVar("--chart-grid", root, gridColor);
-            const newA = getCSSVar("--chart-accent-a", root, accentA);
-            const newB = getCSSVar("--chart-accent-b", root, accentB);
+        wrap.append(toggle, menu);
+        card.appendChild(wrap);
+    }
 
-            const ds = chart.data.datasets;
-            // YoY line
-            ds[0].borderColor = newA;
-            ds[0].pointBackgroundColor = newA;
-            ds[0].pointBorderColor = newA;
-            // CI lines
-            ds[1].borderColor = newA; ds[1].pointBackgroundColor = newA; ds[1].pointBorderColor = newA;
-            ds[2].borderColor = newA; ds[2].pointBackgroundColor = newA; ds[2].pointBorderColor = newA;
+    // Discover and initialize every chart card on the page (once per card)
+    function initChartCards(scope = document) {
+        scope.querySelectorAll(".chart-card[data-chart-src]").forEach(card => {
+            if (card.dataset.chartReady) return;
+            card.dataset.chartReady = "true";
+            initChartCard(card);
+        });
+    }
+
+    // Kept for callers of the old per-card API
+    function initFeatureCard({ cardSelector = "#feature1", dataUrl } = {}) {
+        return initChartCard(document.querySelector(cardSelector), { src: dataUrl });
+    }
 
-            chart.options.scales.x.grid.color = newGrid;
-            chart.options.scales.y.grid.color = newGrid;
+    // Re-theme every live chart (read the palette once) when the site toggles [data-theme]
+    function rethemeCharts() {
+        const theme = chartTheme();
+        liveCharts.forEach(chart => {
+            applyChartTheme(chart, theme);
             chart.update();
+            syncLegend(chart);
         });
-        obs.observe(root, { attributes: true, attributeFilter: ["data-theme"] });
     }
+    new MutationObserver(rethemeCharts)
+        .observe(document.documentElement, { attributes: true, attributeFilter: ["data-theme"] });
+
+    // Callbacks to run whenever script.js applies a language (also once i18n.json has loaded);
+    // without script.js, when the lang-mn class / lang attribute on <html> changes
+    const langListeners = [];
+    if (window.SiteI18n?.onChange) {
+        window.SiteI18n.onChange(lang => langListeners.forEach(fn => fn(lang)));
+    } else {
+        let lastLang = activeLang();
+        new MutationObserver(() => {
+            const lang = activeLang();
+            if (lang === lastLang) return;
+            lastLang = lang;
+            langListeners.forEach(fn => fn(lang));
+        }).observe(document.documentElement, { attributes: true, attributeFilter: ["class", "lang"] });
+    }
+
+    // Charts follow the site's motion setting (no transitions when reduced)
+    window.SiteMotion?.onChange((reduced) => liveCharts.forEach(chart => {
+        chart.options.animation = reduced ? false : { duration: 500 };
+    }));
+
+    // Axis ticks, unit titles, period names, series labels, the legend and the fonts (html.lang-mn)
+    // follow the language
+    langListeners.push(() => {
+        const theme = chartTheme();
+        liveCharts.forEach(chart => {
+            const title = unitLabel(chart.$format);
+            chart.options.scales.y.title.display = !!title;
+            chart.options.scales.y.title.text = title;
+            chart.data.datasets.forEach((ds, i) => labelDataset(ds, chart.$spec.series[i]));
+            applyChartTheme(chart, theme);
+            applyCardMeta(chart.$card, { meta: chart.$meta, source: chart.$source });
+            renderLegend(chart.$card, chart, chart.$spec);
+            if (chart.$type?.decorate) chart.$type.decorate(chart);
+            chart.update();
+        });
+    });
 
     // Initialize when DOM is ready
     function onReady(fn) {
@@ -441,43 +1598,269 @@
         }
     }
 
-    // ---------- Section 4: load values from /data/feature4.json and animate ----------
+    // ---------- Scenario explorer (chart cards with data-scenario-src) ----------
+    // A panel under the card with one slider per assumption. The scenario file gives each assumption's
+    // range and its elasticity: the change in the series per unit the slider moves away from its
+    // default, per period from `start` (a number, or a list whose last entry carries on):
+    //   { "series": "gdp_yoy", "start": "2025Q4",
+    //     "assumptions": [{ "id": "copper", "label": { "en": "Copper price", "mn": … }, "unit": "%",
+    //                       "min": -30, "max": 30, "step": 5, "default": 0, "elasticity": [0.02, 0.04] }] }
+    // The forecast line and its bands move by the sum of those changes, with the baseline dashed
+    // behind them. `series` defaults to the chart's forecast line, `start` to the period after the last
+    // actual. The scenario is kept in ?scenario=copper:10,rate:-0.5 (replaced as the sliders move).
+    const SCENARIO_PARAM = "scenario";
+
+    function readScenarioParam() {
+        const values = {};
+        (new URLSearchParams(location.search).get(SCENARIO_PARAM) || "").split(",").forEach(pair => {
+            const [id, v] = pair.split(":");
+            if (id && toNum(v) !== null) values[id] = Number(v);
+        });
+        return values;
+    }
+
+    function writeScenarioParam(assumptions, values) {
+        const url = new URL(location.href);
+        const moved = assumptions.filter(a => values[a.id] !== a.default).map(a => `${a.id}:${values[a.id]}`);
+        if (moved.length) url.searchParams.set(SCENARIO_PARAM, moved.join(","));
+        else url.searchParams.delete(SCENARIO_PARAM);
+        // keep "copper:10,rate:-0.5" readable in the address bar
+        url.search = url.search.replace(/%3A/gi, ":").replace(/%2C/gi, ",");
+        history.replaceState(history.state, "", url);
+    }
+
+    // Change to the series at every period: elasticity × distance from the default, summed over assumptions
+    function scenarioDelta(assumptions, values, length, start) {
+        return Array.from({ length }, (_, i) => {
+            if (i < start) return 0;
+            return assumptions.reduce((sum, a) => {
+                const e = Array.isArray(a.elasticity) ? a.elasticity[Math.min(i - start, a.elasticity.length - 1)] : a.elasticity;
+                return sum + (Number(e) || 0) * (values[a.id] - a.default);
+            }, 0);
+        });
+    }
+
+    // The panel shows a skeleton while the file loads and an error with Try again if anything fails
+    function startScenarioExplorer(chart, src) {
+        initScenarioExplorer(chart, src).catch(err => {
+            console.error("[feature.js] Scenario explorer failed:", src, err.message || err);
+            const panel = chart.$card.$scenario;
+            if (!panel?.isConnected) return;
+            panel.replaceChildren();
+            showState(panel, "error", { onRetry: () => startScenarioExplorer(chart, src) });
+        });
+    }
+
+    async function initScenarioExplorer(chart, src) {
+        const card = chart.$card;
+        card.$scenario?.remove();
+        const panel = document.createElement("form");
+        panel.className = "scenario-panel";
+        panel.addEventListener("submit", (e) => e.preventDefault());
+        card.$scenario = panel;
+        card.after(panel);
+        showState(panel, "loading");
+
+        const raw = await loadData(src, SCHEMAS.scenario);
+        if (card.$scenario !== panel) return; // the card was drawn again while loading
+        showState(panel, null);
+
+        // a retry starts from the chart as drawn, without an earlier attempt's baseline
+        const spec = chart.$spec.series;
+        if (spec.some(s => s.key === "baseline")) {
+            spec.splice(spec.findIndex(s => s.key === "baseline"), 1);
+            chart.data.datasets = chart.data.datasets.filter(ds => ds.seriesKey !== "baseline");
+        }
+        const assumptions = raw.assumptions.map(a => Object.assign({}, a, {
+            step: a.step || (a.max - a.min) / 20,
+            default: clamp(a.default ?? 0, a.min, a.max),
+        }));
+        const datasets = chart.data.datasets;
+        const main = datasets.find(ds => ds.seriesKey === raw.series) || datasets.find(ds => ds.forecast) || datasets.find(ds => !ds.band);
+        const moving = datasets.filter(ds => ds === main || ds.band);
+        const base = new Map(moving.map(ds => [ds, ds.data.slice()]));
+        const labels = chart.data.labels;
+        const startPeriod = raw.start != null ? parsePeriod(raw.start) : null;
+        const start = startPeriod ? labels.indexOf(periodLabel(startPeriod))
+            : (chart.options.plugins.lastActualMarker?.index ?? -1) + 1;
+        if (!main || start < 0 || start >= labels.length) {
+            console.warn("[feature.js] Scenario has no forecast periods to move:", src);
+            panel.remove();
+            return;
+        }
+
+        // dashed baseline from the last actual on, shown while the scenario differs from it
+        const baseSeries = {
+            key: "baseline", label: "Baseline", labelKey: "chart.scenario.baseline", color: main.colorToken, style: "line",
+            dataset: { borderDash: [2, 4], borderWidth: 1.5, pointRadius: 0, pointHoverRadius: 0, inLegend: false, order: 2 },
+        };
+        chart.$spec.series.push(baseSeries);
+        datasets.push(buildDataset(baseSeries, base.get(main).map((v, i) => i >= start - 1 ? v : null), new Map()));
+        const baseIndex = datasets.length - 1;
+
+        const fromUrl = readScenarioParam();
+        const values = {};
+        assumptions.forEach(a => { values[a.id] = clamp(fromUrl[a.id] ?? a.default, a.min, a.max); });
+
+        const title = i18nEl("h5", "chart.scenario.title", "Scenario explorer", "scenario-title");
+        panel.appendChild(title);
+        const fields = assumptions.map(a => {
+            const label = document.createElement("label");
+            label.className = "scenario-field";
+            const name = document.createElement("span");
+            name.className = "scenario-name";
+            const input = document.createElement("input");
+            input.type = "range";
+            Object.assign(input, { name: a.id, min: a.min, max: a.max, step: a.step, value: values[a.id] });
+            const out = document.createElement("output");
+            out.className = "scenario-value";
+            label.append(name, input, out);
+            panel.appendChild(label);
+            return { a, name, input, out };
+        });
+        const effect = document.createElement("p");
+        effect.className = "scenario-effect";
+        effect.setAttribute("aria-live", "polite");
+        const actions = document.createElement("div");
+        actions.className = "scenario-actions";
+        const reset = i18nEl("button", "chart.scenario.reset", "Reset", "scenario-btn");
+        reset.type = "button";
+        const share = i18nEl("button", "chart.scenario.share", "Copy link", "scenario-btn");
+        share.type = "button";
+        const status = document.createElement("span");
+        status.className = "scenario-status";
+        status.setAttribute("role", "status");
+        actions.append(reset, share, status);
+        panel.append(effect, actions);
+
+        const fmt = chart.$format;
+        const inputFormat = (a) => numberFormat({ unit: a.unit, units: a.units, decimals: a.decimals ?? (String(a.step).split(".")[1] || "").length });
+        const signed = (v, f) => (v > 0 ? "+" : "") + formatValue(v, f, { withUnit: true });
+
+        function label() {
+            fields.forEach(({ a, name }) => {
+                const key = `chart.scenario.${a.id}`;
+                name.textContent = a.label != null ? localized(a.label) : window.SiteI18n?.has(key) ? t(key) : a.id;
+            });
+            update({ write: false });
+        }
+
+        function update({ write = true } = {}) {
+            fields.forEach(({ a, input, out }) => {
+                values[a.id] = Number(input.value);
+                out.textContent = signed(values[a.id] - a.default, inputFormat(a));
+            });
+            const delta = scenarioDelta(assumptions, values, labels.length, start);
+            base.forEach((data, ds) => { ds.data = data.map((v, i) => v == null ? null : v + delta[i]); });
+            const moved = delta.some(d => d !== 0);
+            chart.setDatasetVisibility(baseIndex, moved);
+            chart.update();
+
+            const last = labels.length - 1;
+            const before = base.get(main)[last];
+            effect.hidden = !moved || before == null;
+            if (!effect.hidden) {
+                effect.textContent = t("chart.scenario.effect", "{period}: {value} ({change} vs baseline)", {
+                    period: formatPeriod(labels[last]),
+                    value: formatValue(before + delta[last], fmt, { withUnit: true }),
+                    change: signed(delta[last], fmt),
+                });
+            }
+            if (write) writeScenarioParam(assumptions, values);
+        }
+
+        panel.addEventListener("input", () => {
+            status.textContent = "";
+            update();
+        });
+        reset.addEventListener("click", () => {
+            fields.forEach(({ a, input }) => { input.value = a.default; });
+            status.textContent = "";
+            update();
+        });
+        share.addEventListener("click", () => {
+            const url = location.href;
+            const done = (ok) => {
+                status.textContent = ok ? t("chart.scenario.copied", "Link copied") : url;
+            };
+            if (navigator.clipboard?.writeText) navigator.clipboard.writeText(url).then(() => done(true), () => done(false));
+            else done(false);
+        });
+
+        langListeners.push(label);
+        label();
+    }
+
+    // ---------- Section 4: forecast accuracy panel from /data/feature4.json ----------
+    // One bar card per indicator, generated from the file:
+    //   { "meta": { "unit": "%", "decimals": 1, "max": 100 },
+    //     "metrics": { "mape": { "label": …, "definition": …, "better": "lower", "unit": "%" } },
+    //     "horizons": [{ "id": "1q", "label": { "en": "1Q ahead", "mn": … } }, …],
+    //     "indicators": [{ "id": "GDP_YOY", "label": …, "metric": "hit_rate",
+    //                      "values": { "1q": { "value": 96.4, "benchmark": 88.0 }, "4q": 91.2 } }] }
+    // Several horizons get tabs; a metric gets a definition tooltip; a benchmark (a naive model's
+    // score) is marked on the bar. Older flat files ({accuracy|bars: [{label, value}]}, {labels, values}
+    // or plain numbers) become indicators with a single horizon. Labels may be {en, mn}.
+
+    // Metrics the panel knows (names and definitions in i18n.json); a file's "metrics" block can add
+    // others or override any of this
+    const ACCURACY_METRICS = {
+        hit_rate: { better: "higher", unit: "%", max: 100 },
+        mape: { better: "lower", unit: "%" },
+        rmse: { better: "lower" },
+    };
+
     function normalizeFeature4(raw) {
-        const unit = (raw?.unit || "%").trim();
+        const unit = (raw?.meta?.unit ?? raw?.unit ?? "%").trim();
+
+        if (Array.isArray(raw?.indicators)) {
+            const horizons = (raw.horizons || [])
+                .map(h => (h && typeof h === "object") ? Object.assign({}, h, { id: String(h.id) }) : { id: String(h) });
+            const first = horizons.length ? horizons[0].id : "";
+            const cell = (v) => (v && typeof v === "object")
+                ? { value: toNum(v.value), benchmark: toNum(v.benchmark) }
+                : { value: toNum(v), benchmark: null };
+            return {
+                horizons: horizons.length ? horizons : [{ id: "" }],
+                metrics: raw.metrics || {},
+                indicators: raw.indicators.map((ind, i) => {
+                    const values = {};
+                    if (ind.values && typeof ind.values === "object") {
+                        Object.entries(ind.values).forEach(([h, v]) => { values[h] = cell(v); });
+                    } else {
+                        values[first] = cell({ value: ind.value, benchmark: ind.benchmark });
+                    }
+                    return {
+                        id: String(ind.id ?? (typeof ind.label === "string" ? ind.label : `indicator-${i + 1}`)),
+                        label: ind.label, labelKey: ind.labelKey, metric: ind.metric, unit: ind.unit, values,
+                    };
+                }),
+            };
+        }
 
-        // Your shape
+        // Older flat shapes
+        let flat;
         if (Array.isArray(raw?.accuracy)) {
-            return raw.accuracy.slice(0, 3).map(item => ({
-                label: item.label ?? "",
-                value: Number(item.value ?? 0),
-                unit
-            }));
-        }
-
-        // Other supported shapes (kept for flexibility)
-        if (Array.isArray(raw?.bars)) {
-            return raw.bars.slice(0, 3).map(b => ({
-                label: b.label ?? "",
-                value: Number(b.value ?? 0),
-                unit: b.unit ?? unit
-            }));
-        }
-        if (Array.isArray(raw?.values)) {
-            return raw.values.slice(0, 3).map((v, i) => ({
-                label: raw.labels?.[i] ?? "",
-                value: Number(v ?? 0),
-                unit
-            }));
-        }
-        const pref = ["accuracy", "recall", "uptime", "bar1", "bar2", "bar3"];
-        const out = [];
-        for (const k of pref) if (k in raw && typeof raw[k] === "number") out.push({ label: k, value: Number(raw[k]), unit });
-        if (out.length >= 3) return out.slice(0, 3);
-
-        return Object.entries(raw)
-            .filter(([, v]) => typeof v === "number")
-            .slice(0, 3)
-            .map(([k, v]) => ({ label: k, value: Number(v), unit }));
+            flat = raw.accuracy.map(item => ({ label: item.label ?? "", value: item.value }));
+        } else if (Array.isArray(raw?.bars)) {
+            flat = raw.bars.map(b => ({ label: b.label ?? "", value: b.value, unit: b.unit }));
+        } else if (Array.isArray(raw?.values)) {
+            flat = raw.values.map((v, i) => ({ label: raw.labels?.[i] ?? "", value: v }));
+        } else {
+            flat = Object.entries(raw || {})
+                .filter(([, v]) => typeof v === "number")
+                .map(([k, v]) => ({ label: k, value: v }));
+        }
+        return {
+            horizons: [{ id: "" }],
+            metrics: {},
+            indicators: flat.map((it, i) => ({
+                id: it.label || `indicator-${i + 1}`,
+                label: it.label,
+                unit: it.unit ?? unit,
+                values: { "": { value: toNum(it.value), benchmark: null } },
+            })),
+        };
     }
 
     function initFeature4BarsFromJSON({
@@ -487,51 +1870,208 @@
         const root = document.querySelector(containerSelector);
         if (!root) return;
 
-        fetch(dataUrl, { cache: "no-cache" })
-            .then(r => (r.ok ? r.json() : Promise.reject(r.statusText)))
-            .then(raw => {
-                const items = normalizeFeature4(raw);
-                const cards = root.querySelectorAll(".bar-card");
-
-                cards.forEach((card, i) => {
-                    const item = items[i];
-                    if (!item) return;
-                    const v = Math.max(0, Math.min(100, Number(item.value) || 0));
-                    const unit = (item.unit || "%").trim();
-
-                    // set label only if not i18n-bound
-                    const lblEl = card.querySelector(".bar-label span");
-                    if (lblEl && !lblEl.hasAttribute("data-i18n") && item.label) {
-                        lblEl.textContent = item.label;
-                    }
-
-                    // update unit badge
-                    const unitEl = card.querySelector(".bar-num .unit");
-                    if (unitEl) unitEl.textContent = unit;
-
-                    // animate value + width when visible
-                    const fill = card.querySelector(".bar-fill");
-                    const valueEl = card.querySelector(".bar-num .value");
-
-                    const io = new IntersectionObserver((entries) => {
-                        if (!entries[0].isIntersecting) return;
-                        // width
-                        requestAnimationFrame(() => { fill.style.width = v + "%"; });
-                        // count up
-                        const dur = 1000, start = performance.now();
-                        function step(t) {
-                            const p = Math.min(1, (t - start) / dur);
-                            const n = v * p;
-                            valueEl.textContent = (v % 1 !== 0 || v < 10) ? (n).toFixed(1) : Math.round(n).toString();
-                            if (p < 1) requestAnimationFrame(step);
-                        }
-                        requestAnimationFrame(step);
-                        io.disconnect();
-                    }, { threshold: 0.25 });
-                    io.observe(card);
+        let data = null;
+        let horizon = "";
+        let revealed = false; // bars fill and count up once the panel scrolls into view
+        let relabel = null;
+
+        const load = () => {
+            showState(root, "loading");
+            loadData(dataUrl, SCHEMAS.feature4)
+                .then(render)
+                .catch(e => {
+                    console.error("[feature.js] feature4.json load error:", e.message || e);
+                    showState(root, "error", { onRetry: load });
                 });
-            })
-            .catch(e => console.error("[feature.js] feature4.json load error:", e));
+        };
+        load();
+
+        function render(raw) {
+            data = normalizeFeature4(raw);
+            data.meta = raw.meta || {};
+            root.querySelectorAll(":scope > .bar-card, :scope > .bar-tabs").forEach(el => el.remove());
+            if (!data.indicators.length) {
+                showState(root, "empty");
+                return;
+            }
+            showState(root, null);
+            if (!data.horizons.some(h => h.id === horizon)) horizon = data.horizons[0].id;
+
+            const tabs = data.horizons.length > 1 ? renderTabs() : null;
+            if (tabs) root.appendChild(tabs);
+            const cards = data.indicators.map((ind, i) => {
+                const card = renderBarCard(ind, i);
+                root.appendChild(card);
+                return card;
+            });
+            showAsOf(root, dataUrl);
+
+            const paintAll = () => cards.forEach((card, i) => paintBar(card, data.indicators[i]));
+            paintAll();
+            if (!relabel) langListeners.push(() => relabel());
+            relabel = () => { if (tabs) labelTabs(tabs); paintAll(); };
+
+            if (!revealed) {
+                const io = new IntersectionObserver((entries) => {
+                    if (!entries.some(e => e.isIntersecting)) return;
+                    io.disconnect();
+                    revealed = true;
+                    paintAll();
+                }, { threshold: 0.25 });
+                io.observe(root);
+            }
+
+            root.$select = (id) => {
+                horizon = id;
+                if (tabs) labelTabs(tabs);
+                paintAll();
+            };
+        }
+
+        // The indicator's metric: built-in defaults, then the file's definition of it
+        function metricOf(ind) {
+            if (!ind.metric) return null;
+            return Object.assign({ id: ind.metric }, ACCURACY_METRICS[ind.metric], data.metrics[ind.metric]);
+        }
+
+        function formatOf(ind, metric) {
+            const meta = Object.assign({}, data.meta);
+            ["unit", "decimals", "max"].forEach(k => { if (metric?.[k] != null) meta[k] = metric[k]; });
+            if (ind.unit != null) meta.unit = ind.unit;
+            return numberFormat(meta);
+        }
+
+        function renderTabs() {
+            const list = document.createElement("div");
+            list.className = "bar-tabs";
+            list.setAttribute("role", "tablist");
+            data.horizons.forEach(h => {
+                const tab = document.createElement("button");
+                tab.type = "button";
+                tab.className = "bar-tab";
+                tab.setAttribute("role", "tab");
+                tab.dataset.horizon = h.id;
+                if (root.id) tab.setAttribute("aria-controls", root.id);
+                list.appendChild(tab);
+            });
+            list.addEventListener("click", (e) => {
+                const tab = e.target.closest(".bar-tab");
+                if (tab) root.$select(tab.dataset.horizon);
+            });
+            list.addEventListener("keydown", (e) => {
+                const tabs = Array.from(list.querySelectorAll(".bar-tab"));
+                const i = tabs.indexOf(document.activeElement);
+                if (i < 0) return;
+                const next = { ArrowRight: i + 1, ArrowLeft: i - 1, Home: 0, End: tabs.length - 1 }[e.key];
+                if (next == null) return;
+                e.preventDefault();
+                const tab = tabs[(next + tabs.length) % tabs.length];
+                tab.focus();
+                root.$select(tab.dataset.horizon);
+            });
+            labelTabs(list);
+            return list;
+        }
+
+        function labelTabs(list) {
+            list.setAttribute("aria-label", t("features.section.4.horizon", "Forecast horizon"));
+            list.querySelectorAll(".bar-tab").forEach(tab => {
+                const h = data.horizons.find(x => x.id === tab.dataset.horizon);
+                const key = `features.section.4.horizon.${h.id}`;
+                tab.textContent = h.label != null ? localized(h.label) : t(key, h.id);
+                const selected = h.id === horizon;
+                tab.setAttribute("aria-selected", String(selected));
+                tab.tabIndex = selected ? 0 : -1;
+            });
+        }
+
+        function renderBarCard(ind, i) {
+            const card = document.createElement("div");
+            card.className = "bar-card";
+            card.dataset.indicator = ind.id;
+            card.innerHTML = `
+                <div class="bar-row">
+                  <div class="bar-label"><span class="bar-name"></span></div>
+                  <div class="bar-num"><span class="value">0</span><span class="unit"></span></div>
+                </div>
+                <div class="bar-track" aria-hidden="true"><span class="bar-fill"></span><span class="bar-bench" hidden></span></div>
+                <p class="bar-note" hidden></p>`;
+
+            const metric = metricOf(ind);
+            if (metric) {
+                const wrap = document.createElement("span");
+                wrap.className = "bar-metric";
+                const btn = document.createElement("button");
+                btn.type = "button";
+                btn.className = "bar-metric-btn";
+                const tip = document.createElement("span");
+                tip.className = "bar-metric-tip";
+                tip.setAttribute("role", "tooltip");
+                tip.id = `${root.id || "feature4"}-metric-${i}`;
+                btn.setAttribute("aria-describedby", tip.id);
+                btn.addEventListener("keydown", (e) => { if (e.key === "Escape") btn.blur(); });
+                wrap.append(btn, tip);
+                card.querySelector(".bar-row").insertBefore(wrap, card.querySelector(".bar-num"));
+            }
+            return card;
+        }
+
+        // Texts for the active language and the value for the selected horizon; the fill and the
+        // count-up run from what the card shows now (0 before the first reveal)
+        function paintBar(card, ind) {
+            const metric = metricOf(ind);
+            const fmt = formatOf(ind, metric);
+            const cell = ind.values[horizon] || { value: null, benchmark: null };
+            const v = cell.value != null ? cell.value * fmt.scale : null;
+
+            const auto = `features.section.4.indicator.${ind.id}`;
+            const name = ind.labelKey ? t(ind.labelKey, localized(ind.label) || ind.id)
+                : ind.label != null && typeof ind.label === "object" ? localized(ind.label)
+                    : window.SiteI18n?.has(auto) ? t(auto) : (ind.label || ind.id);
+            card.querySelector(".bar-name").textContent = name;
+            const label = unitLabel(fmt);
+            card.querySelector(".bar-num .unit").textContent = fmt.suffix + (label ? " " + label : "");
+
+            if (metric) {
+                const metricName = metric.label != null ? localized(metric.label) : t(`features.section.4.metric.${metric.id}`, metric.id);
+                const definition = metric.definition != null ? localized(metric.definition) : t(`features.section.4.metric.${metric.id}.definition`, "");
+                const better = metric.better === "lower" ? t("features.section.4.lowerBetter", "Lower is better.")
+                    : metric.better === "higher" ? t("features.section.4.higherBetter", "Higher is better.") : "";
+                card.querySelector(".bar-metric-btn").textContent = metricName;
+                card.querySelector(".bar-metric-tip").textContent = [definition, better].filter(Boolean).join(" ");
+            }
+
+            const bench = card.querySelector(".bar-bench");
+            const note = card.querySelector(".bar-note");
+            const b = cell.benchmark != null ? cell.benchmark * fmt.scale : null;
+            bench.hidden = note.hidden = b == null;
+            if (b != null) {
+                bench.style.left = clamp(b / fmt.max * 100, 0, 100) + "%";
+                note.textContent = t("features.section.4.benchmark", "Naive model: {value}", { value: formatValue(cell.benchmark, fmt, { withUnit: true }) });
+            }
+
+            const valueEl = card.querySelector(".bar-num .value");
+            if (v == null) {
+                valueEl.textContent = "—";
+                card.querySelector(".bar-num .unit").textContent = "";
+                card.querySelector(".bar-fill").style.width = "0%";
+                card.$value = 0;
+                return;
+            }
+            if (!revealed) return;
+            const pct = clamp(v / fmt.max * 100, 0, 100);
+            requestAnimationFrame(() => { card.querySelector(".bar-fill").style.width = pct + "%"; });
+            // count up from the value on screen
+            const from = card.$value || 0;
+            card.$value = v;
+            const dur = 1000, start = performance.now();
+            function step(now) {
+                const p = (motionReduced() || from === v) ? 1 : Math.min(1, (now - start) / dur);
+                valueEl.textContent = formatNumber(from + (v - from) * p, fmt.decimals);
+                if (p < 1) requestAnimationFrame(step);
+            }
+            requestAnimationFrame(step);
+        }
     }
 
 
@@ -546,30 +2086,99 @@
         const m = String(s).match(/\d{4}-\d{2}-\d{2}/);
         return m ? m[0] : String(s).slice(0, 10);
     }
+
+    // Sentence ends: . ! ? … 。 (plus a closing quote) followed by a space and an upper-case Latin or
+    // Cyrillic letter, a digit or an opening quote. Dots inside words ("ам.доллар", "Д.Трамп", "2.5")
+    // have no space after them; a lone capital before the dot is an initial ("Д. Трамп"), not an end.
+    const SENTENCE_END = /([.!?…。]+["»”)]?)\s+(?=["«“(]?[\p{Lu}\d])/gu;
+
+    function splitSentences(text) {
+        const out = [];
+        let start = 0, m;
+        SENTENCE_END.lastIndex = 0;
+        while ((m = SENTENCE_END.exec(text))) {
+            if (/(^|[\s(])\p{Lu}$/u.test(text.slice(start, m.index))) continue;
+            out.push(text.slice(start, m.index + m[1].length));
+            start = m.index + m[0].length;
+        }
+        const rest = text.slice(start).trim();
+        if (rest) out.push(rest);
+        return out;
+    }
+
+    // Whole sentences up to maxChars; when even the first one is longer, cut at the last space with "…"
     function summarize(text, maxChars = 240) {
         if (!text) return "";
-        const t = String(text).replace(/\s+/g, ' ').trim();
-        if (t.length <= maxChars) return t;
-        // try cut on sentence end
-        const cut = t.slice(0, maxChars);
-        const lastDot = cut.lastIndexOf('。') > -1 ? cut.lastIndexOf('。')
-            : cut.lastIndexOf('!') > -1 ? cut.lastIndexOf('!')
-                : cut.lastIndexOf('…') > -1 ? cut.lastIndexOf('…')
-                    : cut.lastIndexOf('.');
-        if (lastDot > 80) return cut.slice(0, lastDot + 1);
-        return cut.trim() + "…";
-    }
-
-    // If you already defined fetchFirstAvailable earlier, you can reuse it.
-    // This is a tiny guarded version.
-    async function fetchFirstAvailable(urls) {
+        const clean = String(text).replace(/\s+/g, " ").trim();
+        if (clean.length <= maxChars) return clean;
+        let out = "";
+        for (const sentence of splitSentences(clean)) {
+            const next = out ? `${out} ${sentence}` : sentence;
+            if (next.length > maxChars) break;
+            out = next;
+        }
+        if (out.length > 80) return out;
+        const cut = clean.slice(0, maxChars + 1);
+        const space = cut.lastIndexOf(" ");
+        return (space > 0 ? cut.slice(0, space) : cut.slice(0, maxChars)).replace(/[\s,;:–—-]+$/, "") + "…";
+    }
+
+    // Reader paragraphs: the feed's own line breaks, else groups of up to three sentences (~500 chars)
+    function articleParagraphs(text) {
+        const raw = String(text || "").trim();
+        if (!raw) return [];
+        if (/\n/.test(raw)) return raw.split(/\n\s*/).map(p => p.replace(/\s+/g, " ").trim()).filter(Boolean);
+        const out = [];
+        let para = [];
+        splitSentences(raw.replace(/\s+/g, " ")).forEach(sentence => {
+            if (para.length && (para.length >= 3 || para.join(" ").length + sentence.length > 500)) {
+                out.push(para.join(" "));
+                para = [];
+            }
+            para.push(sentence);
+        });
+        if (para.length) out.push(para.join(" "));
+        return out;
+    }
+
+    // Terms the model flagged: "keywords": ["зэс", …] or [{ "term": "зэс" }, …]
+    function articleKeywords(a) {
+        return [...new Set((Array.isArray(a.keywords) ? a.keywords : [])
+            .map(k => String((k && typeof k === "object") ? (k.term ?? "") : (k ?? "")).trim())
+            .filter(Boolean))];
+    }
+
+    // Append text to el with every keyword occurrence wrapped in <mark> (longest terms first)
+    function appendHighlighted(el, text, keywords) {
+        if (!keywords.length) { el.append(text); return; }
+        const pattern = keywords.slice().sort((x, y) => y.length - x.length)
+            .map(k => k.replace(/[.*+?^${}()|[\]\\]/g, "\\$&")).join("|");
+        const re = new RegExp(`(${pattern})`, "giu");
+        String(text).split(re).forEach((part, i) => {
+            if (!part) return;
+            if (i % 2) {
+                const mark = document.createElement("mark");
+                mark.className = "art-keyword";
+                mark.textContent = part;
+                el.appendChild(mark);
+            } else {
+                el.append(part);
+            }
+        });
+    }
+
+    // First candidate that loads; one that loads but fails its schema stops the search
+    async function fetchFirstAvailable(urls, schema) {
+        let lastErr;
         for (const u of urls) {
             try {
-                const r = await fetch(u, { cache: "no-cache" });
-                if (r.ok) return { json: await r.json(), url: u };
-            } catch (e) { /* continue */ }
+                return { json: await loadData(u, schema), url: u };
+            } catch (e) {
+                if (e.kind === "schema") throw e;
+                lastErr = e;
+            }
         }
-        throw new Error("All paths failed");
+        throw lastErr || new Error("All paths failed");
     }
 
     function normalizeFeature3(raw) {
@@ -581,29 +2190,335 @@
         return Object.values(raw || {});
     }
 
-    function renderArticleHTML(a) {
-        const title = a.title || a.headline || "Untitled";
-        const url = a.url || "#";
+    // Only absolute http(s) links from the feed; javascript:, data:, relative and malformed URLs are dropped
+    function httpUrl(u) {
+        try {
+            const url = new URL(String(u ?? ""));
+            return (url.protocol === "http:" || url.protocol === "https:") ? url.href : null;
+        } catch { return null; }
+    }
+
+    // Articles may carry a text field per language, as "title": { "en": …, "mn": … } or "title_en" /
+    // "title_mn"; plain strings are in the article's "lang" (the feed default is "mn")
+    const ARTICLE_LANGS = ["en", "mn"];
+
+    function articleVariants(a, field) {
+        const out = {};
+        const v = a[field];
+        if (v && typeof v === "object" && !Array.isArray(v)) Object.assign(out, v);
+        else if (v != null && v !== "") out[a.lang || "mn"] = v;
+        ARTICLE_LANGS.forEach(l => {
+            const own = a[`${field}_${l}`];
+            if (own != null && own !== "") out[l] = own;
+        });
+        return out;
+    }
+
+    // The article's fields in one language: the active one when the article has it, else the other.
+    // "lang" is the language shown and "original" is true when that is not the site language.
+    function localizeArticle(a, lang = activeLang()) {
+        const has = (l) => ["title", "headline", "text"].some(f => articleVariants(a, f)[l]);
+        const other = ARTICLE_LANGS.find(l => l !== lang);
+        const shownLang = (has(lang) || !has(other)) ? lang : other;
+        const out = Object.assign({}, a, { lang: shownLang, original: shownLang !== lang });
+        ["title", "headline", "summary", "text", "keywords"].forEach(f => {
+            out[f] = articleVariants(a, f)[shownLang] ?? null;
+        });
+        return out;
+    }
+
+    // "Original language: Mongolian" next to an article shown in the other language
+    function originalBadge(lang) {
+        const badge = document.createElement("span");
+        badge.className = "art-lang";
+        badge.textContent = t("articles.original", "Original language: {language}", { language: t(`lang.name.${lang}`, lang.toUpperCase()) });
+        return badge;
+    }
+
+    // One article card built from DOM nodes. The feed is scraped from third-party sites, so its
+    // fields only ever reach textContent, and the title links out only when the URL is http(s).
+    function renderArticle(a) {
+        const title = a.title || a.headline || t("articles.untitled", "Untitled");
+        const url = httpUrl(a.url);
         const date = fmtDate(a.date || "");
-        const src = getDomain(url);
-        const score = (a.score != null) ? Number(a.score).toFixed(2) : "";
+        const src = url ? getDomain(url) : "";
+        const score = (a.score != null && Number.isFinite(Number(a.score))) ? Number(a.score).toFixed(2) : "";
         const lede = a.headline || a.summary || "";
         const body = a.text || "";
+        const el = (tag, className, text) => {
+            const node = document.createElement(tag);
+            if (className) node.className = className;
+            if (text != null) node.textContent = text;
+            return node;
+        };
+
+        const card = el("article", "article-card");
+        if (a.lang) card.lang = a.lang;
+        if (a.original) card.appendChild(originalBadge(a.lang));
+        const heading = el("h4", "art-title");
+        if (url) {
+            const link = el("a", null, title);
+            link.href = url;
+            link.target = "_blank";
+            link.rel = "noopener noreferrer";
+            heading.appendChild(link);
+        } else {
+            heading.textContent = title;
+        }
+        card.appendChild(heading);
+
+        const meta = el("div", "art-meta");
+        [date && "🕒 " + date, src && "🌐 " + src, score && "🧠 " + t("articles.score", "AI score: {score}", { score })]
+            .filter(Boolean)
+            .forEach((line, i) => {
+                if (i) meta.appendChild(document.createElement("br"));
+                meta.appendChild(document.createTextNode(line));
+            });
+        card.appendChild(meta);
+
+        if (lede) {
+            const box = el("div", "art-lede");
+            box.append(el("strong", null, "📌 " + t("articles.summary", "Summary:")), " " + summarize(lede, 400));
+            card.appendChild(box);
+        }
+        card.appendChild(el("div", "art-body", summarize(body, 1500)));
+
+        const more = i18nEl("button", "articles.readMore", "Read more", "art-more");
+        more.type = "button";
+        more.setAttribute("aria-haspopup", "dialog");
+        card.appendChild(more);
+        return card;
+    }
+
+    // ------------------------------
+    // Article reader (modal)
+    // ------------------------------
+    // One <dialog> for the page, filled per article: full text in paragraphs, the flagged keywords
+    // highlighted, date, AI score and a link to the original. Closes on Escape, the × button or a
+    // click on the backdrop, and gives focus back to whatever opened it.
+    let reader = null;
+
+    function articleReader() {
+        if (reader) return reader;
+        reader = document.createElement("dialog");
+        reader.className = "article-reader";
+        reader.setAttribute("aria-labelledby", "articleReaderTitle");
+        reader.addEventListener("click", (e) => { if (e.target === reader) closeArticleReader(); });
+        reader.addEventListener("cancel", (e) => { e.preventDefault(); closeArticleReader(); });
+        reader.addEventListener("keydown", (e) => { if (e.key === "Escape") { e.preventDefault(); closeArticleReader(); } });
+        document.body.appendChild(reader);
+        langListeners.push(() => { if (reader.$article) fillArticleReader(reader.$article); });
+        return reader;
+    }
+
+    function fillArticleReader(article) {
+        const a = localizeArticle(article);
+        const box = document.createElement("div");
+        box.className = "reader-body";
+        box.lang = a.lang;
+        const keywords = articleKeywords(a);
+        const url = httpUrl(a.url);
+        if (a.original) box.appendChild(originalBadge(a.lang));
+
+        const head = document.createElement("header");
+        const title = document.createElement("h2");
+        title.id = "articleReaderTitle";
+        title.textContent = a.title || a.headline || t("articles.untitled", "Untitled");
+        const close = document.createElement("button");
+        close.type = "button";
+        close.className = "reader-close";
+        close.textContent = "×";
+        close.setAttribute("aria-label", t("articles.reader.close", "Close"));
+        close.addEventListener("click", () => closeArticleReader());
+        head.append(title, close);
+        box.appendChild(head);
+
+        const meta = document.createElement("p");
+        meta.className = "art-meta";
+        const date = fmtDate(a.date || "");
+        const score = (a.score != null && Number.isFinite(Number(a.score))) ? Number(a.score).toFixed(2) : "";
+        [date && "🕒 " + date, score && "🧠 " + t("articles.score", "AI score: {score}", { score })]
+            .filter(Boolean)
+            .forEach((line, i) => meta.append(i ? " · " : "", line));
+        if (url) {
+            const link = document.createElement("a");
+            link.href = url;
+            link.target = "_blank";
+            link.rel = "noopener noreferrer";
+            link.textContent = "🌐 " + t("articles.reader.source", "Read at {source}", { source: getDomain(url) }) + " ↗";
+            meta.append(meta.childNodes.length ? " · " : "", link);
+        }
+        box.appendChild(meta);
+
+        const lede = a.headline || a.summary;
+        if (lede && lede !== title.textContent) {
+            const p = document.createElement("p");
+            p.className = "art-lede";
+            appendHighlighted(p, String(lede), keywords);
+            box.appendChild(p);
+        }
+        articleParagraphs(a.text).forEach(text => {
+            const p = document.createElement("p");
+            appendHighlighted(p, text, keywords);
+            box.appendChild(p);
+        });
+
+        if (keywords.length) {
+            const list = document.createElement("p");
+            list.className = "reader-keywords";
+            list.appendChild(i18nEl("strong", "articles.reader.keywords", "Flagged terms"));
+            keywords.forEach(k => {
+                const chip = document.createElement("mark");
+                chip.className = "art-keyword";
+                chip.textContent = k;
+                list.append(" ", chip);
+            });
+            box.appendChild(list);
+        }
+
+        reader.replaceChildren(box);
+        reader.$article = article;
+    }
+
+    // onClose runs once the reader is dismissed (the slider resumes autoplay through it)
+    function openArticleReader(a, { opener, onClose } = {}) {
+        const dlg = articleReader();
+        fillArticleReader(a);
+        dlg.$opener = opener || document.activeElement;
+        dlg.$onClose = onClose;
+        if (typeof dlg.showModal === "function") dlg.showModal();
+        else dlg.setAttribute("open", "");
+        document.documentElement.classList.add("has-modal");
+        dlg.querySelector(".reader-close").focus();
+        dlg.scrollTop = 0;
+    }
+
+    function closeArticleReader() {
+        if (!reader || !reader.$article) return;
+        if (typeof reader.close === "function" && reader.open) reader.close();
+        reader.removeAttribute("open");
+        reader.$article = null;
+        document.documentElement.classList.remove("has-modal");
+        const { $opener: opener, $onClose: onClose } = reader;
+        reader.$opener = reader.$onClose = null;
+        if (opener?.isConnected) opener.focus();
+        if (onClose) onClose();
+    }
+
+    // Toolbar above the article window: free-text search, source, date range, minimum AI score
+    // and sort order. Sources and the date/score bounds come from the loaded items.
+    function buildArticleTools(items) {
+        const form = document.createElement("form");
+        form.className = "article-tools";
+        form.setAttribute("role", "search");
+        form.addEventListener("submit", (e) => e.preventDefault());
+
+        const field = (key, fallback, control, className = "") => {
+            const label = document.createElement("label");
+            label.className = `tool-field ${className}`.trim();
+            label.append(i18nEl("span", key, fallback, "tool-label"), control);
+            form.appendChild(label);
+            return control;
+        };
+        const input = (name, type, attrs = {}) => {
+            const el = document.createElement("input");
+            el.name = name;
+            el.type = type;
+            Object.entries(attrs).forEach(([k, v]) => { if (v != null && v !== "") el.setAttribute(k, v); });
+            return el;
+        };
+        const select = (name, options) => {
+            const el = document.createElement("select");
+            el.name = name;
+            options.forEach(([value, key, fallback]) => {
+                const opt = key ? i18nEl("option", key, fallback) : Object.assign(document.createElement("option"), { textContent: fallback });
+                opt.value = value;
+                el.appendChild(opt);
+            });
+            return el;
+        };
+
+        const q = input("q", "search", { "data-i18n-placeholder": "articles.filter.searchHint" });
+        q.placeholder = t("articles.filter.searchHint", "Title, summary or text");
+        field("articles.filter.search", "Search", q, "is-wide");
+
+        const domains = [...new Set(items.map(a => getDomain(a.url || "")).filter(Boolean))].sort();
+        field("articles.filter.source", "Source", select("source", [
+            ["", "articles.filter.allSources", "All sources"],
+            ...domains.map(d => [d, null, d]),
+        ]));
+
+        const dates = items.map(a => fmtDate(a.date || "")).filter(d => /^\d{4}-\d{2}-\d{2}$/.test(d)).sort();
+        field("articles.filter.from", "From", input("from", "date", { min: dates[0], max: dates[dates.length - 1] }));
+        field("articles.filter.to", "To", input("to", "date", { min: dates[0], max: dates[dates.length - 1] }));
+
+        const scores = items.map(a => Number(a.score)).filter(Number.isFinite);
+        field("articles.filter.minScore", "Min. AI score", input("minScore", "number", {
+            min: scores.length ? Math.floor(Math.min(...scores)) : 0,
+            max: scores.length ? Math.ceil(Math.max(...scores)) : 100,
+            step: "0.1",
+            inputmode: "decimal",
+        }));
+
+        field("articles.filter.sort", "Sort", select("sort", [
+            ["feed", "articles.sort.feed", "Feed order"],
+            ["newest", "articles.sort.newest", "Newest first"],
+            ["oldest", "articles.sort.oldest", "Oldest first"],
+            ["score", "articles.sort.score", "Highest score"],
+        ]));
+
+        const reset = i18nEl("button", "articles.filter.reset", "Reset", "tool-reset");
+        reset.type = "reset";
+        form.appendChild(reset);
+        return form;
+    }
+
+    // Current toolbar values
+    function articleFilters(form) {
+        const f = form.elements;
+        return {
+            q: f.q.value.trim().toLowerCase(),
+            source: f.source.value,
+            from: f.from.value,
+            to: f.to.value,
+            minScore: f.minScore.value === "" ? null : Number(f.minScore.value),
+            sort: f.sort.value,
+        };
+    }
+
+    // Items matching the filters, in the chosen order ("feed" keeps file order)
+    function filterArticles(items, f) {
+        const out = items.filter(a => {
+            if (f.source && getDomain(a.url || "") !== f.source) return false;
+            const d = fmtDate(a.date || "");
+            if (f.from && (!d || d < f.from)) return false;
+            if (f.to && (!d || d > f.to)) return false;
+            if (f.minScore != null && !(a.score != null && Number(a.score) >= f.minScore)) return false;
+            if (f.q && !["title", "headline", "summary", "text"].some(field => Object.values(articleVariants(a, field))
+                .some(s => s && String(s).toLowerCase().includes(f.q)))) return false;
+            return true;
+        });
+        const byDate = (a, b) => String(a.date || "").localeCompare(String(b.date || ""));
+        const score = (a) => (a.score == null || !Number.isFinite(Number(a.score))) ? -Infinity : Number(a.score);
+        if (f.sort === "newest") out.sort((a, b) => byDate(b, a));
+        else if (f.sort === "oldest") out.sort(byDate);
+        else if (f.sort === "score") out.sort((a, b) => score(b) - score(a));
+        return out;
+    }
 
-        return `
-    <article class="article-card">
-      <h4 class="art-title"><a href="${url}" target="_blank" rel="noopener">${title}</a></h4>
-      <div class="art-meta">
-        ${date ? "🕒 " + date + "<br />" : ""}
-        ${src ? "🌐 " + src + "<br />" : ""}
-        ${score ? "🧠 AI Score: " + score : ""}
-      </div>
-      ${lede ? `<div class="art-lede"><strong>📌 Хураангуй:</strong> ${summarize(lede, 400)}</div>` : ""}
-      <div class="art-body">${summarize(body, 1500)}</div>
-    </article>
-  `;
+    // Stable id for deep links: the feed's own "id", else a hash of the article URL, else its position
+    function articleId(a, i) {
+        if (a.id != null && String(a.id).trim()) return String(a.id).trim().replace(/[^\w-]+/g, "-");
+        const url = httpUrl(a.url);
+        if (!url) return `article-${i + 1}`;
+        let h = 5381;
+        for (let k = 0; k < url.length; k++) h = ((h * 33) ^ url.charCodeAt(k)) >>> 0;
+        return "a-" + h.toString(36);
     }
 
+    // Slider: prev/next, dots, arrow keys and swipe; optional autoplay from data-autoplay="<ms>" (held
+    // while hovered, focused, dragged, in a hidden tab or with reduced motion, and by its pause button);
+    // #<slider id>/<article id> (or /article-N, 1-based in the feed) opens a specific story.
     function initFeature3Slider({
         containerSelector = "#feature3",
         dataUrlCandidates = [
@@ -617,36 +2532,72 @@
 
         const win = root.querySelector(".article-window");
         const dotsEl = root.querySelector(".dots");
+        const countEl = root.querySelector(".slider-count");
         const prevBtn = root.querySelector(".nav-btn.prev");
         const nextBtn = root.querySelector(".nav-btn.next");
-
-        let items = [];
-        let idx = 0;
-
-        (async () => {
-            let raw;
+        const hashPrefix = `#${root.id || "feature3"}/`;
+        const autoplayMs = Number(root.dataset.autoplay) || 0;
+
+        let items = [];   // everything in the feed
+        let ids = [];     // articleId per item, unique
+        let shown = [];   // after the toolbar's filters and sort
+        let idx = 0;      // position in shown
+        let tools = null;
+        let playBtn = null;
+        let timer = null;
+        const holds = new Set(); // why autoplay is waiting: hover, focus, hidden, drag, reader, user
+        const skeleton = win.innerHTML; // the page's placeholder, shown again on retry
+
+        const load = async () => {
+            let raw, rawUrl;
+            win.innerHTML = skeleton;
+            win.setAttribute("aria-busy", "true");
             try {
-                const { json, url } = await fetchFirstAvailable(dataUrlCandidates);
+                const { json, url } = await fetchFirstAvailable(dataUrlCandidates, SCHEMAS.articles);
                 raw = json;
+                rawUrl = url;
                 console.log("[feature.js] feature3.json loaded from:", url);
             } catch (e) {
                 console.error("[feature.js] feature3.json load error:", e.message);
-                win.innerHTML = `<article class="article-card"><p style="padding:14px;">Failed to load articles.</p></article>`;
+                win.innerHTML = "";
+                showState(win, "error", { onRetry: load });
                 return;
             }
+            win.removeAttribute("aria-busy");
             items = normalizeFeature3(raw);
             if (!Array.isArray(items) || !items.length) {
-                win.innerHTML = `<article class="article-card"><p style="padding:14px;">No articles.</p></article>`;
+                win.innerHTML = "";
+                showState(win, "empty");
                 return;
             }
-            // Build dots
-            dotsEl.innerHTML = items.map((_, i) => `<span class="dot${i === 0 ? ' active' : ''}"></span>`).join("");
+            const seen = new Map();
+            ids = items.map((a, i) => {
+                const id = articleId(a, i);
+                const n = (seen.get(id) || 0) + 1;
+                seen.set(id, n);
+                return n > 1 ? `${id}-${n}` : id;
+            });
+            showAsOf(root, rawUrl);
+
+            // Filter / sort / search toolbar; the dots and counter follow the filtered set
+            tools = buildArticleTools(items);
+            win.parentNode.insertBefore(tools, win);
+            tools.addEventListener("input", applyFilters);
+            tools.addEventListener("change", applyFilters);
+            tools.addEventListener("reset", () => setTimeout(applyFilters)); // values clear after the event
+            shown = items.slice();
+            renderDots();
             render(idx);
+            openFromHash(true);
+
+            // Labels in the article follow the language
+            langListeners.push(() => render(idx));
 
             // Wire controls
             prevBtn.addEventListener("click", () => { go(-1); });
             nextBtn.addEventListener("click", () => { go(+1); });
             root.addEventListener("keydown", (e) => {
+                if (e.target.closest(".article-tools")) return; // arrows move the caret / change values there
                 if (e.key === "ArrowLeft") go(-1);
                 if (e.key === "ArrowRight") go(+1);
             });
@@ -655,105 +2606,857 @@
                 const i = Array.from(dotsEl.children).indexOf(e.target);
                 if (i >= 0) set(i);
             });
-        })();
-
-        function set(i) {
-            idx = clamp(i, 0, items.length - 1);
+            // "Read more" opens the full article; autoplay waits until the reader closes
+            win.addEventListener("click", (e) => {
+                const more = e.target.closest(".art-more");
+                if (!more || !shown[idx]) return;
+                hold("reader", true);
+                openArticleReader(shown[idx], { opener: more, onClose: () => hold("reader", false) });
+            });
+            window.addEventListener("hashchange", () => openFromHash(true));
+            initSwipe();
+            initAutoplay();
+        };
+        load();
+
+        // Re-filter, staying on the current article when it is still in the set
+        function applyFilters() {
+            const current = shown[idx];
+            shown = filterArticles(items, articleFilters(tools));
+            idx = Math.max(0, shown.indexOf(current));
+            renderDots();
             render(idx);
+            schedule();
+        }
+        function renderDots() {
+            dotsEl.innerHTML = shown.map(() => '<span class="dot"></span>').join("");
         }
-        function go(step) {
-            set((idx + step + items.length) % items.length);
+        // opts.auto: moved by autoplay (not announced, URL left alone); opts.from: "left" | "right" slide-in
+        function set(i, opts = {}) {
+            idx = clamp(i, 0, shown.length - 1);
+            render(idx, opts);
+            if (!opts.auto) writeHash();
+            schedule();
         }
-        function render(i) {
-            const a = items[i];
-            win.innerHTML = renderArticleHTML(a);
+        function go(step, opts = {}) {
+            if (!shown.length) return;
+            set((idx + step + shown.length) % shown.length, Object.assign({ from: step > 0 ? "right" : "left" }, opts));
+        }
+        function render(i, { auto = false, from } = {}) {
+            const a = shown[i];
+            prevBtn.disabled = nextBtn.disabled = shown.length < 2;
+            if (countEl) {
+                // the counter is the live region: user moves are announced ("3 of 12"), autoplay is not
+                countEl.setAttribute("aria-live", auto ? "off" : "polite");
+                countEl.textContent = shown.length
+                    ? t("articles.position", "{n} of {total}", { n: i + 1, total: shown.length })
+                    : "";
+            }
+            if (!a) {
+                win.innerHTML = "";
+                const none = i18nEl("p", "articles.filter.none", "No articles match these filters.", "article-none");
+                none.setAttribute("role", "status");
+                win.appendChild(none);
+                return;
+            }
+            const card = renderArticle(localizeArticle(a));
+            card.id = `${root.id || "feature3"}-${ids[items.indexOf(a)]}`;
+            if (from && !motionReduced()) card.classList.add(`slide-from-${from}`);
+            win.replaceChildren(card);
             Array.from(dotsEl.children).forEach((d, di) => d.classList.toggle("active", di === i));
         }
+
+        // ---- deep links ----
+        function writeHash() {
+            const a = shown[idx];
+            if (!a) return;
+            const hash = hashPrefix + encodeURIComponent(ids[items.indexOf(a)]);
+            if (location.hash !== hash) history.replaceState(history.state, "", location.pathname + location.search + hash);
+        }
+        // Show the article named in the URL (clearing filters that hide it); true when one matched
+        function openFromHash(scroll) {
+            if (!location.hash.startsWith(hashPrefix)) return false;
+            let key;
+            try { key = decodeURIComponent(location.hash.slice(hashPrefix.length)); } catch { return false; }
+            const pos = key.match(/^article-(\d+)$/);
+            let n = ids.indexOf(key);
+            if (n < 0 && pos) n = Number(pos[1]) - 1;
+            const a = items[n];
+            if (!a) return false;
+            if (!shown.includes(a)) {
+                tools.reset();
+                shown = filterArticles(items, articleFilters(tools));
+                renderDots();
+            }
+            idx = shown.indexOf(a);
+            render(idx);
+            holds.add("user"); // a linked story stays put until the reader moves on
+            syncPlayBtn();
+            schedule();
+            if (scroll) root.scrollIntoView({ behavior: motionReduced() ? "auto" : "smooth", block: "start" });
+            return true;
+        }
+
+        // ---- swipe ----
+        // Horizontal drags move the article with the pointer; past a threshold it changes article,
+        // otherwise it springs back. Vertical drags are left to the browser (touch-action: pan-y).
+        function initSwipe() {
+            let drag = null;
+            win.addEventListener("pointerdown", (e) => {
+                if (!e.isPrimary || e.button !== 0 || shown.length < 2) return;
+                if (e.target.closest("a, button, input, select, textarea")) return;
+                drag = { id: e.pointerId, x: e.clientX, y: e.clientY, dx: 0, active: false };
+            });
+            win.addEventListener("pointermove", (e) => {
+                if (!drag || e.pointerId !== drag.id) return;
+                const dx = e.clientX - drag.x;
+                const dy = e.clientY - drag.y;
+                if (!drag.active) {
+                    if (Math.abs(dy) > 10 && Math.abs(dy) > Math.abs(dx)) { drag = null; return; }
+                    if (Math.abs(dx) < 10) return;
+                    drag.active = true;
+                    win.setPointerCapture?.(e.pointerId);
+                    win.classList.add("is-dragging");
+                    hold("drag", true);
+                }
+                drag.dx = dx;
+                const card = win.firstElementChild;
+                if (card) card.style.transform = `translateX(${dx}px)`;
+            });
+            const end = (e) => {
+                if (!drag || e.pointerId !== drag.id) return;
+                const { dx, active } = drag;
+                drag = null;
+                if (!active) return;
+                win.classList.remove("is-dragging");
+                const threshold = Math.min(80, win.clientWidth * 0.2 || 80);
+                if (e.type === "pointerup" && Math.abs(dx) > threshold) go(dx < 0 ? +1 : -1);
+                else if (win.firstElementChild) win.firstElementChild.style.transform = "";
+                hold("drag", false);
+            };
+            win.addEventListener("pointerup", end);
+            win.addEventListener("pointercancel", end);
+        }
+
+        // ---- autoplay ----
+        function schedule() {
+            clearTimeout(timer);
+            timer = null;
+            if (!autoplayMs || holds.size || motionReduced() || shown.length < 2) return;
+            timer = setTimeout(() => go(+1, { auto: true }), autoplayMs);
+        }
+        function hold(reason, on) {
+            if (on) holds.add(reason); else holds.delete(reason);
+            schedule();
+        }
+        function syncPlayBtn() {
+            if (!playBtn) return;
+            const paused = holds.has("user");
+            const key = paused ? "articles.autoplay.play" : "articles.autoplay.pause";
+            playBtn.textContent = paused ? "▶" : "⏸";
+            playBtn.setAttribute("aria-pressed", String(paused));
+            playBtn.setAttribute("data-i18n-title", key);
+            playBtn.title = t(key, paused ? "Play slideshow" : "Pause slideshow");
+            playBtn.setAttribute("aria-label", playBtn.title);
+        }
+        function initAutoplay() {
+            if (!autoplayMs) return;
+            playBtn = document.createElement("button");
+            playBtn.type = "button";
+            playBtn.className = "nav-btn slider-play";
+            playBtn.addEventListener("click", () => {
+                hold("user", !holds.has("user"));
+                syncPlayBtn();
+            });
+            nextBtn.after(playBtn);
+            root.classList.add("has-autoplay");
+            syncPlayBtn();
+            langListeners.push(syncPlayBtn);
+
+            root.addEventListener("pointerenter", (e) => { if (e.pointerType === "mouse") hold("hover", true); });
+            root.addEventListener("pointerleave", () => hold("hover", false));
+            root.addEventListener("focusin", () => hold("focus", true));
+            root.addEventListener("focusout", (e) => { if (!root.contains(e.relatedTarget)) hold("focus", false); });
+            document.addEventListener("visibilitychange", () => hold("hidden", document.hidden));
+            window.SiteMotion?.onChange(schedule);
+            schedule();
+        }
     }
 
 
 
     // ===== Section 6: Logo -> Pane switcher =====
+    // Tabs from the markup: every `.tool[data-tool="x"]` button whose `[data-tool-pane="x"]` pane exists
+    // (adding a tool is markup only). WAI-ARIA tabs: arrows/Home/End move and select, only the
+    // selected tab is in the tab order. The choice is kept in the hash (#feature6-tools/<tool>), so a
+    // link to a training opens its pane; the pane open in the markup (else the first) is the default.
     function initFeature6Tools({ containerSelector = "#feature6-tools" } = {}) {
         const root = document.querySelector(containerSelector);
         if (!root) return;
 
-        const buttons = Array.from(root.querySelectorAll('.tool-logos .tool'));
-        const panes = {
-            excel: root.querySelector('#tool-pane-excel'),
-            ppt: root.querySelector('#tool-pane-ppt'),
-            stata: root.querySelector('#tool-pane-stata'),
-        };
+        const panes = new Map(Array.from(root.querySelectorAll("[data-tool-pane]")).map(el => [el.dataset.toolPane, el]));
+        const tabs = Array.from(root.querySelectorAll(".tool[data-tool]")).filter(tab => {
+            if (panes.has(tab.dataset.tool)) return true;
+            console.warn("[feature.js] No [data-tool-pane] for tool:", tab.dataset.tool);
+            tab.hidden = true;
+            return false;
+        });
+        if (!tabs.length) return;
+        const hashPrefix = `#${root.id || "feature6-tools"}/`;
+
+        tabs[0].parentElement.setAttribute("role", "tablist");
+        tabs.forEach(tab => {
+            const tool = tab.dataset.tool;
+            const pane = panes.get(tool);
+            if (!tab.id) tab.id = `tool-tab-${tool}`;
+            if (!pane.id) pane.id = `tool-pane-${tool}`;
+            tab.setAttribute("role", "tab");
+            tab.setAttribute("aria-controls", pane.id);
+            pane.setAttribute("role", "tabpanel");
+            pane.setAttribute("aria-labelledby", tab.id);
+            pane.tabIndex = 0;
+        });
 
-        function show(which) {
-            buttons.forEach(btn => btn.setAttribute('aria-selected', String(btn.dataset.tool === which)));
-            Object.entries(panes).forEach(([k, el]) => {
-                if (!el) return;
-                el.hidden = (k !== which);
+        function show(tool, { focus = false, hash = false } = {}) {
+            tabs.forEach(tab => {
+                const selected = tab.dataset.tool === tool;
+                tab.setAttribute("aria-selected", String(selected));
+                tab.tabIndex = selected ? 0 : -1;
+                panes.get(tab.dataset.tool).hidden = !selected;
+                if (selected && focus) tab.focus();
             });
+            if (hash && location.hash !== hashPrefix + tool) {
+                history.replaceState(history.state, "", location.pathname + location.search + hashPrefix + encodeURIComponent(tool));
+            }
         }
 
-        root.addEventListener('click', (e) => {
-            const btn = e.target.closest('.tool-logos .tool');
-            if (!btn) return;
-            show(btn.dataset.tool);
+        // The tool named in the URL, if it is one of the tabs
+        function toolFromHash() {
+            if (!location.hash.startsWith(hashPrefix)) return null;
+            let tool;
+            try { tool = decodeURIComponent(location.hash.slice(hashPrefix.length)); } catch { return null; }
+            return tabs.some(tab => tab.dataset.tool === tool) ? tool : null;
+        }
+
+        function openFromHash(scroll) {
+            const tool = toolFromHash();
+            if (!tool) return false;
+            show(tool);
+            if (scroll) root.scrollIntoView({ behavior: motionReduced() ? "auto" : "smooth", block: "start" });
+            return true;
+        }
+
+        root.addEventListener("click", (e) => {
+            const tab = e.target.closest(".tool[data-tool]");
+            if (tab && tabs.includes(tab)) show(tab.dataset.tool, { hash: true });
         });
 
-        // Keyboard tabs
-        root.addEventListener('keydown', (e) => {
-            const idx = buttons.findIndex(b => b.getAttribute('aria-selected') === 'true');
-            if (e.key === 'ArrowRight') { e.preventDefault(); buttons[(idx + 1) % buttons.length].click(); }
-            if (e.key === 'ArrowLeft') { e.preventDefault(); buttons[(idx - 1 + buttons.length) % buttons.length].click(); }
+        tabs[0].parentElement.addEventListener("keydown", (e) => {
+            const i = tabs.indexOf(e.target.closest(".tool[data-tool]"));
+            if (i < 0) return;
+            const next = { ArrowRight: i + 1, ArrowDown: i + 1, ArrowLeft: i - 1, ArrowUp: i - 1, Home: 0, End: tabs.length - 1 }[e.key];
+            if (next == null) return;
+            e.preventDefault();
+            show(tabs[(next + tabs.length) % tabs.length].dataset.tool, { focus: true, hash: true });
         });
 
-        // default
-        show('excel');
+        window.addEventListener("hashchange", () => openFromHash(true));
+        if (!openFromHash(true)) {
+            const open = tabs.find(tab => !panes.get(tab.dataset.tool).hidden) || tabs[0];
+            show(open.dataset.tool);
+        }
     }
 
 
     // ===== Section Top: Click Hyperlink =====
+    // Cards with data-target="<section id>" link to their section; the sections of #feature-splits
+    // get a sticky table of contents that marks the one in view. The hash follows the reader: a click
+    // adds a history entry (#sec-3), scrolling replaces it (and clears it above the first section),
+    // so back/forward and reloads return to the same section. A deeper hash the section owns
+    // (#feature3/<article>, #feature6-tools/<tool>) is left alone while that section is in view.
     function initFeatureJumpLinks() {
-        const cards = Array.from(document.querySelectorAll('.container .grid .card')).slice(0, 6);
-        const sections = Array.from(document.querySelectorAll('#feature-splits .split-item')).slice(0, 6);
+        const sections = Array.from(document.querySelectorAll("#feature-splits .split-item[id]"));
+        if (!sections.length) return;
+        const byId = new Map(sections.map(sec => [sec.id, sec]));
+        const header = document.querySelector(".site-header");
+        const toc = buildFeatureToc(sections);
+
+        // keep section tops clear of the sticky header and contents bar
+        const offset = () => (header?.offsetHeight || 80) + (toc?.offsetHeight || 0) + 12;
+        const setMargins = () => {
+            if (toc) toc.style.top = (header?.offsetHeight || 0) + "px";
+            sections.forEach(sec => { sec.style.scrollMarginTop = offset() + "px"; });
+        };
+        setMargins();
+        window.addEventListener("resize", setMargins);
 
-        // Compute a good scroll offset from your header
-        const header = document.querySelector('.site-header');
-        const offset = (header?.offsetHeight || 80) + 12;
-        sections.forEach((sec, i) => {
-            if (!sec.id) sec.id = `sec-${i + 1}`;               // ensure an id exists
-            sec.style.scrollMarginTop = offset + 'px';         // prevent header overlap
-        });
+        let current = null;
+        let quietUntil = 0; // no hash writes from the spy while a jump is still scrolling
+
+        function go(sec, { push = false, smooth = true } = {}) {
+            if (push && location.hash !== `#${sec.id}`) history.pushState(history.state, "", `#${sec.id}`);
+            quietUntil = Date.now() + 1000;
+            mark(sec);
+            sec.scrollIntoView({ behavior: smooth && !motionReduced() ? "smooth" : "auto", block: "start" });
+        }
+
+        function mark(sec) {
+            current = sec;
+            toc?.querySelectorAll("a").forEach(a => {
+                if (a.hash === `#${sec?.id}`) a.setAttribute("aria-current", "true");
+                else a.removeAttribute("aria-current");
+            });
+        }
 
-        cards.forEach((card, i) => {
-            const target = sections[i];
-            if (!target) return;
+        // The section a hash points to: "#sec-3", or the section holding "#feature3/<id>"'s element
+        function sectionFor(hash) {
+            let id;
+            try { id = decodeURIComponent(hash.slice(1)).split("/")[0]; } catch { return null; }
+            if (!id) return null;
+            if (byId.has(id)) return byId.get(id);
+            const el = document.getElementById(id);
+            return el ? sections.find(sec => sec.contains(el)) || null : null;
+        }
+
+        document.querySelectorAll(".card[data-target]").forEach((card, i) => {
+            const target = byId.get(card.dataset.target) || document.getElementById(card.dataset.target);
+            if (!target) {
+                console.warn("[feature.js] No section for card data-target:", card.dataset.target);
+                return;
+            }
 
             // overlay anchor makes the whole card clickable + accessible
-            const a = document.createElement('a');
-            a.className = 'card-overlay';
+            const a = document.createElement("a");
+            a.className = "card-overlay";
             a.href = `#${target.id}`;
-            a.setAttribute('aria-label', `Jump to section ${i + 1}`);
-            card.classList.add('is-link');
+            const n = card.querySelector(".hint")?.textContent.trim() || i + 1;
+            const label = () => a.setAttribute("aria-label", t("features.jump", "Jump to section {n}", { n: Number(n) || n }));
+            label();
+            langListeners.push(label);
+            card.classList.add("is-link");
             card.appendChild(a);
 
-            // smooth scroll (intercept default anchor jump)
-            const go = () => target.scrollIntoView({ behavior: 'smooth', block: 'start' });
-            a.addEventListener('click', (e) => { e.preventDefault(); go(); });
+            a.addEventListener("click", (e) => { e.preventDefault(); go(target, { push: true }); });
 
             // keyboard support on the card
             card.tabIndex = 0;
-            card.setAttribute('role', 'link');
-            card.setAttribute('aria-controls', target.id);
-            card.addEventListener('keydown', (e) => {
-                if (e.key === 'Enter' || e.key === ' ') { e.preventDefault(); go(); }
+            card.setAttribute("role", "link");
+            card.setAttribute("aria-controls", target.id);
+            card.addEventListener("keydown", (e) => {
+                if (e.key === "Enter" || e.key === " ") { e.preventDefault(); go(target, { push: true }); }
+            });
+        });
+
+        toc?.addEventListener("click", (e) => {
+            const a = e.target.closest("a");
+            const sec = a && byId.get(a.hash.slice(1));
+            if (!sec) return;
+            e.preventDefault();
+            go(sec, { push: true });
+        });
+
+        // Scrollspy: the last section whose top is in the upper 40% of the window. The observer watches
+        // the band from under the header down to that line, so every change comes with a callback.
+        const spy = new IntersectionObserver(() => {
+            const line = window.innerHeight * 0.4;
+            const passed = sections.filter(sec => sec.getBoundingClientRect().top <= line);
+            const sec = passed[passed.length - 1] || null;
+            if (sec === current) return;
+            mark(sec);
+            if (Date.now() < quietUntil) return;
+            // a deeper link inside the section in view stays in the address bar
+            if (sec && sectionFor(location.hash) === sec) return;
+            const hash = sec ? `#${sec.id}` : "";
+            if (location.hash !== hash) history.replaceState(history.state, "", location.pathname + location.search + hash);
+        }, { rootMargin: `-${offset()}px 0px -60% 0px` });
+        sections.forEach(sec => spy.observe(sec));
+
+        // Back/forward and typed hashes; deeper links (#feature3/…) scroll themselves
+        const follow = () => {
+            const sec = byId.get(location.hash.slice(1));
+            if (sec) go(sec);
+        };
+        window.addEventListener("popstate", follow);
+        window.addEventListener("hashchange", follow);
+
+        // On load the browser jumps before the charts and articles have their height; jump again after
+        const initial = byId.get(location.hash.slice(1));
+        if (initial) {
+            if ("scrollRestoration" in history) history.scrollRestoration = "manual";
+            go(initial, { smooth: false });
+            window.addEventListener("load", () => go(initial, { smooth: false }), { once: true });
+        }
+    }
+
+    // Sticky "On this page" bar: one link per section, titled like the section (re-translated with it)
+    function buildFeatureToc(sections) {
+        const host = document.querySelector("#feature-splits");
+        if (!host) return null;
+        const nav = document.createElement("nav");
+        nav.className = "feature-toc";
+        const label = () => nav.setAttribute("aria-label", t("features.toc", "On this page"));
+        label();
+        langListeners.push(label);
+        const list = document.createElement("ol");
+        sections.forEach(sec => {
+            const heading = sec.querySelector(".title-wrap .h3");
+            const key = heading?.getAttribute("data-i18n");
+            const a = document.createElement("a");
+            a.href = `#${sec.id}`;
+            const num = sec.querySelector(".num")?.textContent.trim();
+            if (num) a.appendChild(Object.assign(document.createElement("span"), { className: "toc-num", textContent: num }));
+            a.appendChild(key ? i18nEl("span", key, heading.textContent) : Object.assign(document.createElement("span"), { textContent: heading?.textContent || sec.id }));
+            const li = document.createElement("li");
+            li.appendChild(a);
+            list.appendChild(li);
+        });
+        nav.appendChild(list);
+        host.prepend(nav);
+        return nav;
+    }
+
+
+    // ------------------------------
+    // Report preview (modal)
+    // ------------------------------
+    // Links marked data-preview (the demo reports) get a "Preview" button that opens the file, in the
+    // site language, in a <dialog> with a download button: PDF pages drawn on canvases by pdf.js (the
+    // local assets/js/pdf.min.mjs, imported on first use), XLSX workbooks as read-only tables with one
+    // tab per sheet. Workbooks are unzipped with the native DecompressionStream and read with DOMParser.
+    const PREVIEW_ROWS = 200; // table rows added per "show more"
+    const PDFJS_SRC = "/assets/js/pdf.min.mjs";
+    const PDFJS_WORKER_SRC = "/assets/js/pdf.worker.min.mjs";
+    let preview = null;
+    let pdfjsLib = null;
+
+    function reportPreview() {
+        if (preview) return preview;
+        preview = document.createElement("dialog");
+        preview.className = "report-preview";
+        preview.setAttribute("aria-labelledby", "reportPreviewTitle");
+        preview.addEventListener("click", (e) => { if (e.target === preview) closeReportPreview(); });
+        preview.addEventListener("cancel", (e) => { e.preventDefault(); closeReportPreview(); });
+        preview.addEventListener("keydown", (e) => { if (e.key === "Escape") { e.preventDefault(); closeReportPreview(); } });
+        document.body.appendChild(preview);
+        // the link's href follows the language (applyLocalizedHrefs runs first)
+        langListeners.push(() => { if (preview.$link) fillReportPreview(preview.$link); });
+        return preview;
+    }
+
+    function fillReportPreview(link) {
+        const url = new URL(link.getAttribute("href"), location.href);
+        const file = decodeURIComponent(url.pathname.split("/").pop());
+        const box = document.createElement("div");
+        box.className = "preview-box";
+
+        const head = document.createElement("header");
+        const title = document.createElement("h2");
+        title.id = "reportPreviewTitle";
+        title.textContent = file.replace(/\.[^.]+$/, "");
+        const download = document.createElement("a");
+        download.className = "preview-download";
+        download.href = url.href;
+        download.download = file;
+        download.textContent = t("reports.download", "Download");
+        const close = document.createElement("button");
+        close.type = "button";
+        close.className = "preview-close";
+        close.textContent = "×";
+        close.setAttribute("aria-label", t("reports.close", "Close"));
+        close.addEventListener("click", () => closeReportPreview());
+        head.append(title, download, close);
+
+        const body = document.createElement("div");
+        body.className = "preview-content";
+        box.append(head, body);
+        releasePdf();
+        preview.replaceChildren(box);
+        preview.$link = link;
+        preview.$url = url.href;
+
+        if (/\.pdf$/i.test(url.pathname)) {
+            showPdf(body, url.href);
+        } else if (/\.xlsx$/i.test(url.pathname)) {
+            showWorkbook(body, url.href);
+        } else {
+            const note = document.createElement("p");
+            note.className = "preview-note";
+            note.textContent = t("reports.unsupported", "This file cannot be previewed; download it instead.");
+            body.appendChild(note);
+        }
+    }
+
+    function loadPdfjs() {
+        if (!pdfjsLib) {
+            pdfjsLib = import(PDFJS_SRC).then(lib => {
+                lib.GlobalWorkerOptions.workerSrc = PDFJS_WORKER_SRC;
+                return lib;
+            });
+            pdfjsLib.catch(() => { pdfjsLib = null; }); // try the import again next time
+        }
+        return pdfjsLib;
+    }
+
+    // One canvas per page at the pane's width, drawn as it scrolls into view
+    async function showPdf(body, href) {
+        showState(body, "loading");
+        let doc, first;
+        try {
+            const lib = await loadPdfjs();
+            doc = await lib.getDocument({ url: href, isEvalSupported: false }).promise;
+            first = (await doc.getPage(1)).getViewport({ scale: 1 });
+        } catch (err) {
+            console.error("[feature.js] PDF preview failed:", href, err.message || err);
+            doc?.destroy();
+            if (preview.$url === href) showPdfFallback(body);
+            return;
+        }
+        if (preview.$url !== href) { doc.destroy(); return; } // closed, or switched language, while loading
+        showState(body, null);
+
+        const pages = document.createElement("div");
+        pages.className = "preview-pages";
+        pages.tabIndex = 0;
+        const canvases = Array.from({ length: doc.numPages }, (_, i) => {
+            const canvas = document.createElement("canvas");
+            canvas.className = "preview-page";
+            canvas.dataset.page = i + 1;
+            canvas.setAttribute("role", "img");
+            canvas.setAttribute("aria-label", t("reports.page", "Page {n} of {total}", { n: i + 1, total: doc.numPages }));
+            canvas.style.aspectRatio = `${first.width} / ${first.height}`;
+            pages.appendChild(canvas);
+            return canvas;
+        });
+        body.appendChild(pages);
+
+        const draw = async (canvas) => {
+            const page = await doc.getPage(Number(canvas.dataset.page));
+            const size = page.getViewport({ scale: 1 });
+            const scale = (canvas.clientWidth || size.width) / size.width * (window.devicePixelRatio || 1);
+            const viewport = page.getViewport({ scale });
+            canvas.width = Math.floor(viewport.width);
+            canvas.height = Math.floor(viewport.height);
+            canvas.style.aspectRatio = `${size.width} / ${size.height}`;
+            await page.render({ canvas, viewport }).promise;
+        };
+        const failed = (err) => {
+            if (preview.$pdf?.doc !== doc) return;
+            console.error("[feature.js] PDF page did not render:", href, err.message || err);
+            showPdfFallback(body);
+        };
+        const io = "IntersectionObserver" in window ? new IntersectionObserver((entries) => {
+            entries.forEach(e => {
+                if (!e.isIntersecting) return;
+                io.unobserve(e.target);
+                draw(e.target).catch(failed);
+            });
+        }, { root: pages, rootMargin: "400px 0px" }) : null;
+        preview.$pdf = { doc, io };
+        if (io) canvases.forEach(c => io.observe(c));
+        else canvases.reduce((done, c) => done.then(() => draw(c)), Promise.resolve()).catch(failed);
+    }
+
+    // When pdf.js or the file fails: the link's data-preview-image (a picture of the report), a note
+    // and a link that opens the PDF in a new tab
+    function showPdfFallback(body) {
+        releasePdf();
+        const box = document.createElement("div");
+        box.className = "preview-fallback";
+        const src = preview.$link?.dataset.previewImage;
+        if (src) {
+            const img = document.createElement("img");
+            img.src = src;
+            img.alt = "";
+            img.decoding = "async";
+            box.appendChild(img);
+        }
+        const note = document.createElement("p");
+        note.className = "preview-note";
+        note.textContent = t("reports.pdfFallback", "The pages can't be shown here. Open the PDF or download it.");
+        const open = document.createElement("a");
+        open.className = "cta-btn cta--outline";
+        open.href = preview.$url;
+        open.target = "_blank";
+        open.rel = "noopener";
+        open.textContent = t("reports.open", "Open PDF");
+        box.append(note, open);
+        body.replaceChildren(box);
+    }
+
+    function releasePdf() {
+        if (!preview?.$pdf) return;
+        preview.$pdf.io?.disconnect();
+        preview.$pdf.doc.destroy();
+        preview.$pdf = null;
+    }
+
+    async function showWorkbook(body, href) {
+        showState(body, "loading");
+        let sheets;
+        try {
+            const res = await fetch(href);
+            if (!res.ok) throw new Error(`HTTP ${res.status}`);
+            sheets = await readWorkbook(await res.arrayBuffer());
+        } catch (err) {
+            console.error("[feature.js] Workbook preview failed:", href, err.message || err);
+            if (preview.$url === href) showState(body, "error", { onRetry: () => showWorkbook(body, href) });
+            return;
+        }
+        if (preview.$url !== href) return; // closed, or switched language, while loading
+        showState(body, null);
+
+        const note = document.createElement("p");
+        note.className = "preview-note";
+        note.textContent = t("reports.readOnly", "Read-only preview. Download the file to work with it.");
+        const pane = document.createElement("div");
+        pane.className = "preview-sheet";
+        pane.id = "reportPreviewSheet";
+        pane.setAttribute("role", "tabpanel");
+        pane.tabIndex = 0;
+        body.append(note, pane);
+
+        const show = async (i) => {
+            tabs.forEach((tab, j) => {
+                tab.setAttribute("aria-selected", String(i === j));
+                tab.tabIndex = i === j ? 0 : -1;
+            });
+            if (tabs[i]) pane.setAttribute("aria-labelledby", tabs[i].id);
+            pane.$sheet = i;
+            let sheet;
+            try {
+                sheet = await sheets[i].read();
+            } catch (err) {
+                console.error("[feature.js] Sheet preview failed:", href, sheets[i].name, err.message || err);
+                if (preview.$url === href && pane.$sheet === i) {
+                    pane.replaceChildren();
+                    showState(pane, "error", { onRetry: () => show(i) });
+                }
+                return;
+            }
+            if (preview.$url !== href || pane.$sheet !== i) return; // closed, or another tab picked, while reading
+            renderSheet(pane, sheet);
+        };
+        const tabs = sheets.length > 1 ? sheets.map((sheet, i) => {
+            const tab = document.createElement("button");
+            tab.type = "button";
+            tab.className = "preview-tab";
+            tab.id = `reportPreviewTab-${i}`;
+            tab.setAttribute("role", "tab");
+            tab.setAttribute("aria-controls", pane.id);
+            tab.textContent = sheet.name;
+            tab.addEventListener("click", () => show(i));
+            return tab;
+        }) : [];
+        if (tabs.length) {
+            const list = document.createElement("div");
+            list.className = "preview-tabs";
+            list.setAttribute("role", "tablist");
+            list.setAttribute("aria-label", t("reports.sheets", "Sheets"));
+            list.append(...tabs);
+            list.addEventListener("keydown", (e) => {
+                const i = tabs.indexOf(document.activeElement);
+                const next = { ArrowRight: i + 1, ArrowLeft: i - 1, Home: 0, End: tabs.length - 1 }[e.key];
+                if (i < 0 || next == null) return;
+                e.preventDefault();
+                const j = (next + tabs.length) % tabs.length;
+                tabs[j].focus();
+                show(j);
+            });
+            body.insertBefore(list, pane);
+        }
+        show(0);
+    }
+
+    // Rows as a table with Excel's column letters and row numbers, PREVIEW_ROWS at a time
+    function renderSheet(pane, { rows, columns }) {
+        const table = document.createElement("table");
+        table.className = "preview-table";
+        const headRow = table.createTHead().insertRow();
+        headRow.appendChild(document.createElement("th"));
+        for (let c = 0; c < columns; c++) {
+            const th = document.createElement("th");
+            th.scope = "col";
+            th.textContent = columnName(c);
+            headRow.appendChild(th);
+        }
+        const tbody = table.createTBody();
+        const more = document.createElement("button");
+        more.type = "button";
+        more.className = "preview-more";
+        let shown = 0;
+        const addRows = () => {
+            rows.slice(shown, shown + PREVIEW_ROWS).forEach(row => {
+                const tr = tbody.insertRow();
+                const th = document.createElement("th");
+                th.scope = "row";
+                th.textContent = row.r;
+                tr.appendChild(th);
+                for (let c = 0; c < columns; c++) {
+                    const td = tr.insertCell();
+                    const cell = row.cells.get(c);
+                    if (!cell) continue;
+                    td.textContent = cell.text;
+                    if (cell.numeric) td.className = "is-num";
+                }
+            });
+            shown = Math.min(rows.length, shown + PREVIEW_ROWS);
+            more.hidden = shown >= rows.length;
+            more.textContent = t("reports.moreRows", "Show {n} more rows", { n: Math.min(PREVIEW_ROWS, rows.length - shown) });
+        };
+        more.addEventListener("click", addRows);
+        addRows();
+        pane.replaceChildren(table, more);
+    }
+
+    function columnName(c) {
+        let name = "";
+        for (let n = c + 1; n > 0; n = Math.floor((n - 1) / 26)) name = String.fromCharCode(65 + (n - 1) % 26) + name;
+        return name;
+    }
+
+    // Zip central directory -> Map(name -> {method, data}) (stored or deflated entries, no zip64)
+    function unzipEntries(buffer) {
+        const view = new DataView(buffer);
+        let end = -1;
+        for (let i = buffer.byteLength - 22; i >= Math.max(0, buffer.byteLength - 65557); i--) {
+            if (view.getUint32(i, true) === 0x06054b50) { end = i; break; }
+        }
+        if (end < 0) throw new Error("not a zip file");
+        const utf8 = new TextDecoder();
+        const files = new Map();
+        let p = view.getUint32(end + 16, true);
+        for (let n = view.getUint16(end + 10, true); n > 0; n--) {
+            if (view.getUint32(p, true) !== 0x02014b50) throw new Error("broken zip directory");
+            const nameLen = view.getUint16(p + 28, true);
+            const local = view.getUint32(p + 42, true);
+            const start = local + 30 + view.getUint16(local + 26, true) + view.getUint16(local + 28, true);
+            files.set(utf8.decode(new Uint8Array(buffer, p + 46, nameLen)), {
+                method: view.getUint16(p + 10, true),
+                data: new Uint8Array(buffer, start, view.getUint32(p + 20, true)),
+            });
+            p += 46 + nameLen + view.getUint16(p + 30, true) + view.getUint16(p + 32, true);
+        }
+        return files;
+    }
+
+    async function unzipXML(files, name) {
+        const file = files.get(name);
+        if (!file) return null;
+        let text;
+        if (file.method === 0) text = new TextDecoder().decode(file.data);
+        else if (file.method === 8) text = await new Response(new Blob([file.data]).stream().pipeThrough(new DecompressionStream("deflate-raw"))).text();
+        else throw new Error(`unsupported compression in ${name}`);
+        return new DOMParser().parseFromString(text, "application/xml");
+    }
+
+    // Built-in number formats the demo workbooks use (dates by id); custom ones come from styles.xml
+    const XLSX_FORMATS = { 1: "0", 2: "0.00", 3: "#,##0", 4: "#,##0.00", 9: "0%", 10: "0.00%", 14: "date", 15: "date", 16: "date", 17: "date", 22: "date" };
+
+    // [{name, read() -> {rows: [{r, cells: Map(col -> {text, numeric})}], columns}}] (sheets parse on first read)
+    async function readWorkbook(buffer) {
+        const files = unzipEntries(buffer);
+        const [book, rels, shared, styles] = await Promise.all(
+            ["xl/workbook.xml", "xl/_rels/workbook.xml.rels", "xl/sharedStrings.xml", "xl/styles.xml"].map(name => unzipXML(files, name)));
+        if (!book || !rels) throw new Error("not an xlsx workbook");
+        const all = (node, tag) => node ? Array.from(node.getElementsByTagName(tag)) : [];
+
+        const strings = all(shared, "si").map(si => all(si, "t").map(el => el.textContent).join(""));
+        const custom = new Map(all(styles, "numFmt").map(f => [f.getAttribute("numFmtId"), f.getAttribute("formatCode")]));
+        const formats = all(all(styles, "cellXfs")[0], "xf").map(xf => {
+            const id = xf.getAttribute("numFmtId");
+            return custom.get(id) || XLSX_FORMATS[id] || null;
+        });
+        const targets = new Map(all(rels, "Relationship").map(r => [r.getAttribute("Id"), r.getAttribute("Target")]));
+
+        return all(book, "sheet").map(sheet => {
+            const target = targets.get(sheet.getAttribute("r:id")) || "";
+            const path = target.startsWith("/") ? target.slice(1) : `xl/${target}`;
+            let parsed = null;
+            return {
+                name: sheet.getAttribute("name"),
+                read: async () => (parsed ||= readSheet(await unzipXML(files, path), strings, formats)),
+            };
+        });
+    }
+
+    function readSheet(doc, strings, formats) {
+        const rows = [];
+        let columns = 0;
+        Array.from(doc?.getElementsByTagName("row") || []).forEach(row => {
+            const cells = new Map();
+            Array.from(row.getElementsByTagName("c")).forEach(c => {
+                const v = c.getElementsByTagName("v")[0]?.textContent;
+                const type = c.getAttribute("t");
+                let cell = null;
+                if (type === "s") cell = { text: strings[Number(v)] ?? "" };
+                else if (type === "inlineStr") cell = { text: Array.from(c.getElementsByTagName("t")).map(el => el.textContent).join("") };
+                else if (type === "b") cell = { text: v === "1" ? "TRUE" : "FALSE" };
+                else if (v != null && (type === "str" || type === "e")) cell = { text: v };
+                else if (v != null) cell = { text: formatCell(Number(v), formats[Number(c.getAttribute("s") || 0)]), numeric: true };
+                if (!cell || cell.text === "") return;
+                const col = columnIndex(c.getAttribute("r")) ?? cells.size;
+                cells.set(col, cell);
+                columns = Math.max(columns, col + 1);
             });
+            if (cells.size) rows.push({ r: Number(row.getAttribute("r")) || rows.length + 1, cells });
         });
+        return { rows, columns };
     }
 
-    // Apply language-specific hrefs based on <html> state
+    // "AB12" -> 27
+    function columnIndex(ref) {
+        const letters = String(ref || "").match(/^[A-Z]+/)?.[0];
+        if (!letters) return null;
+        return [...letters].reduce((n, ch) => n * 26 + ch.charCodeAt(0) - 64, 0) - 1;
+    }
+
+    // A number as the cell's format shows it (decimals, %, dates); "General" is ungrouped, up to 4 decimals
+    function formatCell(v, code) {
+        if (!Number.isFinite(v)) return "";
+        if (code === "date" || (code && /[dmy]/i.test(code.replace(/"[^"]*"|\[[^\]]*\]/g, "")) && !/[#0]/.test(code))) {
+            return new Date(Math.round((v - 25569) * 864e5)).toISOString().slice(0, 10);
+        }
+        if (!code || code === "General") return String(Math.round(v * 1e4) / 1e4);
+        const decimals = (code.match(/\.(0+)/) || ["", ""])[1].length;
+        return code.includes("%") ? formatNumber(v * 100, decimals) + "%" : formatNumber(v, decimals);
+    }
+
+    function openReportPreview(link) {
+        const dlg = reportPreview();
+        fillReportPreview(link);
+        dlg.$opener = document.activeElement;
+        if (typeof dlg.showModal === "function") dlg.showModal();
+        else dlg.setAttribute("open", "");
+        document.documentElement.classList.add("has-modal");
+        dlg.querySelector(".preview-close").focus();
+    }
+
+    function closeReportPreview() {
+        if (!preview || !preview.$link) return;
+        if (typeof preview.close === "function" && preview.open) preview.close();
+        preview.removeAttribute("open");
+        releasePdf();
+        preview.$link = preview.$url = null;
+        preview.replaceChildren(); // drops the PDF pages / table
+        document.documentElement.classList.remove("has-modal");
+        const opener = preview.$opener;
+        preview.$opener = null;
+        if (opener?.isConnected) opener.focus();
+    }
+
+    // A "Preview" button after every a[data-preview]
+    function initReportPreviews() {
+        document.querySelectorAll("a[data-preview]").forEach(link => {
+            const btn = i18nEl("button", "reports.preview", "Preview", "cta-btn cta--outline preview-btn");
+            btn.type = "button";
+            btn.addEventListener("click", () => openReportPreview(link));
+            link.after(btn);
+        });
+    }
+
+    // Apply language-specific hrefs for the active language
     function applyLocalizedHrefs() {
-        const html = document.documentElement;
-        const isMN = html.classList.contains('lang-mn') || (html.getAttribute('lang') || '').startsWith('mn');
+        const isMN = activeLang() === "mn";
 
         document.querySelectorAll('a[data-href-en], a[data-href-mn]').forEach(a => {
             const en = a.dataset.hrefEn;
@@ -764,25 +3467,11 @@
         });
     }
 
-    // Update automatically if your site toggles language by changing <html class> or lang=
-    new MutationObserver(applyLocalizedHrefs)
-        .observe(document.documentElement, { attributes: true, attributeFilter: ['class', 'lang'] });
-
+    langListeners.push(applyLocalizedHrefs);
     onReady(applyLocalizedHrefs);
     onReady(() => {
-        // Section 1 (already in your file)
-        initFeatureCard({
-            cardSelector: "#feature1",
-            canvasSelector: "#chart-feature1",
-            dataUrl: "assets/data/feature1.json",
-        });
-
-        // Section 5
-        initFeature5Card({
-            cardSelector: "#feature5",
-            canvasSelector: "#chart-feature5",
-            dataUrl: "assets/data/feature5.json",
-        });
+        // Sections 1 and 5 (and any other .chart-card[data-chart-src] on the page)
+        initChartCards();
 
         initFeature4BarsFromJSON({
             containerSelector: "#feature4-bars",
@@ -797,10 +3486,14 @@
 
         initFeature6Tools({ containerSelector: "#feature6-tools" });
         initFeatureJumpLinks();
+        initReportPreviews();
     });
 
     // Expose a tiny API in case you want to init more cards later
     window.FeatureCharts = {
+        initChartCard,
+        initChartCards,
+        registerChartType,
         initFeatureCard,
     };
 })();
@@ -3,63 +3,625 @@
   const yearEl = document.getElementById('year');
   if (yearEl) yearEl.textContent = new Date().getFullYear();
 
-  // Theme
-  const storedTheme = localStorage.getItem('theme');
-  const prefersDark = window.matchMedia && window.matchMedia('(prefers-color-scheme: dark)').matches;
-  const initialTheme = storedTheme || 'light';
-  root.setAttribute('data-theme', initialTheme);
+  // Theme: "light" | "dark" saved by the toggle, otherwise "system", which follows the OS
+  // prefers-color-scheme live. html[data-theme-mode] is the choice and html[data-theme] the resolved
+  // light/dark the CSS reads; assets/js/boot.js applies the same rules before paint.
+  const THEME_CYCLE = { light: 'dark', dark: 'system', system: 'light' };
+  const THEME_ICONS = { light: '☀️', dark: '🌙', system: '🌗' };
+  const darkQuery = window.matchMedia && window.matchMedia('(prefers-color-scheme: dark)');
   const themeBtn = document.getElementById('themeToggle');
+  function themeMode() {
+    const saved = localStorage.getItem('theme');
+    return (saved === 'light' || saved === 'dark') ? saved : 'system';
+  }
+  function applyTheme() {
+    const mode = themeMode();
+    const theme = mode === 'system' ? (darkQuery && darkQuery.matches ? 'dark' : 'light') : mode;
+    root.setAttribute('data-theme-mode', mode);
+    if (root.getAttribute('data-theme') !== theme) root.setAttribute('data-theme', theme);
+    labelThemeToggle();
+  }
+  // aria-pressed: true = dark, false = light, mixed = following the system
+  function labelThemeToggle() {
+    if (!themeBtn) return;
+    const mode = themeMode();
+    const name = mode[0].toUpperCase() + mode.slice(1);
+    const label = window.SiteI18n
+      ? window.SiteI18n.t('theme.toggle', 'Theme: {mode}', { mode: window.SiteI18n.t(`theme.${mode}`, name) })
+      : `Theme: ${name}`; // before the i18n runtime below is set up
+    themeBtn.textContent = THEME_ICONS[mode];
+    themeBtn.setAttribute('aria-pressed', mode === 'system' ? 'mixed' : String(mode === 'dark'));
+    themeBtn.setAttribute('aria-label', label);
+    themeBtn.title = label;
+  }
+  applyTheme();
+  if (darkQuery && darkQuery.addEventListener) darkQuery.addEventListener('change', applyTheme);
   if (themeBtn) {
-    themeBtn.setAttribute('aria-pressed', root.getAttribute('data-theme') === 'dark');
     themeBtn.addEventListener('click', () => {
-      const cur = root.getAttribute('data-theme');
-      const next = cur === 'dark' ? 'light' : 'dark';
-      root.setAttribute('data-theme', next);
-      localStorage.setItem('theme', next);
-      themeBtn.setAttribute('aria-pressed', next === 'dark');
+      const next = THEME_CYCLE[themeMode()];
+      if (next === 'system') localStorage.removeItem('theme');
+      else localStorage.setItem('theme', next);
+      applyTheme();
+    });
+  }
+
+  // Motion: "reduce" | "full" saved like theme/lang, otherwise the OS prefers-reduced-motion setting.
+  // Shown as html[data-motion] (CSS drops animations and transitions); scripts use SiteMotion.
+  const motionQuery = window.matchMedia && window.matchMedia('(prefers-reduced-motion: reduce)');
+  const motionBtn = document.getElementById('motionToggle');
+  const motionListeners = [];
+  const motionReduced = () => root.getAttribute('data-motion') === 'reduce';
+  function applyMotion() {
+    const saved = localStorage.getItem('motion');
+    const mode = (saved === 'reduce' || saved === 'full') ? saved : (motionQuery && motionQuery.matches ? 'reduce' : 'full');
+    const changed = root.getAttribute('data-motion') !== mode;
+    root.setAttribute('data-motion', mode);
+    if (motionBtn) motionBtn.setAttribute('aria-pressed', mode === 'reduce');
+    if (changed) motionListeners.forEach(fn => fn(mode === 'reduce'));
+  }
+  applyMotion();
+  if (motionQuery && motionQuery.addEventListener) motionQuery.addEventListener('change', applyMotion);
+  if (motionBtn) {
+    motionBtn.addEventListener('click', () => {
+      localStorage.setItem('motion', motionReduced() ? 'full' : 'reduce');
+      applyMotion();
     });
   }
+  // SiteMotion.reduced() -> boolean; SiteMotion.onChange(fn(reduced)) when the setting flips
+  window.SiteMotion = { reduced: motionReduced, onChange: fn => motionListeners.push(fn) };
 
-  // Language
-  const storedLang = localStorage.getItem('lang');
+  // Language: ?lang= (shared links; /en/… and /mn/… are rewritten to it by 404.html), else the saved
+  // choice, else the browser language on a first visit. assets/js/boot.js uses the same order.
+  const LANGS = ['mn', 'en'];
+  const urlLang = (new URLSearchParams(location.search).get('lang') || '').toLowerCase();
+  const storedLang = (localStorage.getItem('lang') || '').toLowerCase();
   const browserLang = ((navigator.language || 'en') + '').toLowerCase().startsWith('mn') ? 'mn' : 'en';
-  const defaultLang = storedLang || 'mn';
+  const defaultLang = [urlLang, storedLang].find(l => LANGS.includes(l)) || browserLang;
   let i18n = {};
+  let currentLang = defaultLang;
+  const i18nListeners = [];
+  const i18nMissing = new Set(); // "lang:key", reported once each
+
+  // Entry for key in lang, else the other language's (reported); undefined when neither has it
+  function lookup(key, lang) {
+    const own = (i18n[lang] || {})[key];
+    if (own != null) return own;
+    if (!Object.keys(i18n).length) return undefined; // i18n.json not loaded yet
+    const other = LANGS.find(l => l !== lang && (i18n[l] || {})[key] != null);
+    if (!i18nMissing.has(`${lang}:${key}`)) {
+      i18nMissing.add(`${lang}:${key}`);
+      console.warn(`[i18n] "${key}" missing in ${lang}${other ? `, using ${other}` : ''}`);
+    }
+    return other ? i18n[other][key] : undefined;
+  }
+
+  // Plural entries are {"one": …, "other": …} chosen by params.count; "{name}" is replaced from
+  // params (numbers formatted for the language)
+  function resolve(entry, params = {}) {
+    const locale = currentLang === 'mn' ? 'mn-MN' : 'en-US';
+    if (entry && typeof entry === 'object') {
+      const form = new Intl.PluralRules(locale).select(Number(params.count) || 0);
+      entry = entry[form] ?? entry.other ?? '';
+    }
+    return String(entry).replace(/\{(\w+)\}/g, (m, name) => {
+      if (!(name in params)) return m;
+      const v = params[name];
+      return typeof v === 'number' ? v.toLocaleString(locale) : String(v);
+    });
+  }
+
+  // t(key), t(key, 'fallback'), t(key, params) or t(key, 'fallback', params)
+  function translate(key, fallback, params) {
+    if (fallback && typeof fallback === 'object') { params = fallback; fallback = undefined; }
+    const entry = lookup(key, currentLang);
+    return resolve(entry ?? fallback ?? key, params);
+  }
+
+  // data-i18n-params='{"n": 3}' on an element feeds its placeholders
+  function elementText(el, key) {
+    const entry = lookup(key, currentLang);
+    if (entry == null) return null;
+    let params = {};
+    try { params = JSON.parse(el.getAttribute('data-i18n-params') || '{}'); } catch (e) { /* keep {} */ }
+    return resolve(entry, params);
+  }
+
+  // data-i18n-html strings go through an allow-list: the inline tags below with only a class (plus
+  // href/target on links, and only to http(s), mailto or same-site URLs). Other elements are unwrapped
+  // to their text; script-like ones are dropped. Parsed in a <template>, so nothing runs or loads.
+  const HTML_TAGS = new Set(['A', 'B', 'BR', 'CODE', 'EM', 'I', 'KBD', 'SMALL', 'SPAN', 'STRONG', 'SUB', 'SUP']);
+  const DROP_TAGS = new Set(['SCRIPT', 'STYLE', 'TEMPLATE', 'IFRAME', 'OBJECT', 'EMBED', 'NOSCRIPT']);
+
+  function safeHref(href) {
+    const s = String(href ?? '').trim();
+    if (/^(#|\/(?![\/\\]))/.test(s)) return s; // same page / same site
+    try {
+      const url = new URL(s);
+      return ['http:', 'https:', 'mailto:'].includes(url.protocol) ? url.href : null;
+    } catch (e) { return null; }
+  }
+
+  function sanitizeHTML(html) {
+    const tpl = document.createElement('template');
+    tpl.innerHTML = html;
+    const clean = parent => [...parent.childNodes].forEach(node => {
+      if (node.nodeType === Node.TEXT_NODE) return;
+      if (node.nodeType !== Node.ELEMENT_NODE || DROP_TAGS.has(node.tagName.toUpperCase())) { node.remove(); return; }
+      clean(node);
+      const tag = node.tagName.toUpperCase();
+      if (!HTML_TAGS.has(tag) || node.namespaceURI !== 'http://www.w3.org/1999/xhtml') { node.replaceWith(...node.childNodes); return; }
+      [...node.attributes].forEach(attr => {
+        const keep = attr.name === 'class' || (tag === 'A' && (attr.name === 'href' || attr.name === 'target'));
+        if (!keep) node.removeAttribute(attr.name);
+      });
+      if (tag === 'A') {
+        const href = safeHref(node.getAttribute('href'));
+        if (href) node.setAttribute('href', href); else node.removeAttribute('href');
+        if (node.hasAttribute('target')) node.setAttribute('rel', 'noopener noreferrer');
+      }
+    });
+    clean(tpl.content);
+    return tpl.content;
+  }
+
   function applyI18n(lang) {
-    const dict = i18n[lang] || {};
+    currentLang = lang;
     document.querySelectorAll('[data-i18n]').forEach(el => {
-      const key = el.getAttribute('data-i18n');
-      if (dict[key]) el.textContent = dict[key];
+      const text = elementText(el, el.getAttribute('data-i18n'));
+      if (text) el.textContent = text;
     });
     document.querySelectorAll('[data-i18n-html]').forEach(el => {
-      const key = el.getAttribute('data-i18n-html');
-      if (dict[key]) el.innerHTML = dict[key];
+      const html = elementText(el, el.getAttribute('data-i18n-html'));
+      if (html) el.replaceChildren(sanitizeHTML(html));
+    });
+    document.querySelectorAll('[data-i18n-title]').forEach(el => {
+      const text = elementText(el, el.getAttribute('data-i18n-title'));
+      if (text) el.title = text;
+    });
+    document.querySelectorAll('[data-i18n-placeholder]').forEach(el => {
+      const text = elementText(el, el.getAttribute('data-i18n-placeholder'));
+      if (text) el.placeholder = text;
     });
     localStorage.setItem('lang', lang);
+    document.documentElement.setAttribute('lang', lang);
     document.querySelectorAll('.lang .toggle').forEach(b => b.setAttribute('aria-pressed', b.dataset.lang === lang));
     // toggle lang-mn class for Mongolian font override
     document.documentElement.classList.toggle('lang-mn', lang === 'mn');
+    i18nListeners.forEach(fn => fn(lang));
   }
   fetch('/assets/i18n.json', { cache: 'no-store' })
     .then(r => r.json())
     .then(json => { i18n = json; applyI18n(defaultLang); })
     .catch(() => { });
+  // Keep ?lang= in the address bar in step with the toggle so the link can be shared as seen
+  function setUrlLang(lang) {
+    const url = new URL(location.href);
+    if (url.searchParams.get('lang') === lang) return;
+    url.searchParams.set('lang', lang);
+    history.replaceState(history.state, '', url);
+  }
   document.querySelectorAll('.lang .toggle').forEach(btn => {
-    btn.addEventListener('click', () => applyI18n(btn.dataset.lang));
+    btn.addEventListener('click', () => {
+      applyI18n(btn.dataset.lang);
+      setUrlLang(btn.dataset.lang);
+    });
   });
+  // Shared runtime for feature.js and page scripts. onChange(fn(lang)) runs after every applyI18n,
+  // including the first one once i18n.json has loaded; missing() lists "lang:key" fallbacks so far.
+  window.SiteI18n = {
+    lang: () => currentLang,
+    t: translate,
+    has: key => LANGS.some(l => (i18n[l] || {})[key] != null),
+    onChange: fn => i18nListeners.push(fn),
+    missing: () => [...i18nMissing],
+  };
+  window.SiteI18n.onChange(labelThemeToggle);
+
+  // Data files: fetch + schema check, and loading / error / empty panels for the sections they feed.
+  // Problems go to the console, and to an overlay when the page is opened with ?debug=data.
+  const TYPES = {
+    object: v => v !== null && typeof v === 'object' && !Array.isArray(v),
+    array: v => Array.isArray(v),
+    string: v => typeof v === 'string',
+    number: v => typeof v === 'number' && Number.isFinite(v),
+    boolean: v => typeof v === 'boolean',
+    null: v => v === null,
+  };
+  const typeOf = v => v === null ? 'null' : Array.isArray(v) ? 'array' : typeof v;
+
+  // A small JSON Schema subset: type, required, properties, additionalProperties, items, minItems,
+  // anyOf, plus check(value) -> message for rules the rest can't express. Returns "path: problem" strings.
+  function validate(value, schema, path = '$') {
+    if (!schema) return [];
+    if (schema.anyOf) {
+      const results = schema.anyOf.map(s => validate(value, s, path));
+      if (results.some(r => !r.length)) return [];
+      return results.reduce((best, r) => (r.length < best.length ? r : best));
+    }
+    const types = [].concat(schema.type || []);
+    if (types.length && !types.some(t => TYPES[t](value))) {
+      return [`${path}: expected ${types.join(' | ')}, got ${typeOf(value)}`];
+    }
+    const problems = [];
+    if (TYPES.object(value)) {
+      (schema.required || []).forEach(k => { if (!(k in value)) problems.push(`${path}: missing "${k}"`); });
+      Object.keys(value).forEach(k => {
+        const sub = (schema.properties || {})[k] || schema.additionalProperties;
+        if (sub) problems.push(...validate(value[k], sub, `${path}.${k}`));
+      });
+    }
+    if (Array.isArray(value)) {
+      if (schema.minItems && value.length < schema.minItems) problems.push(`${path}: needs at least ${schema.minItems} item(s)`);
+      if (schema.items) value.forEach((v, i) => problems.push(...validate(v, schema.items, `${path}[${i}]`)));
+    }
+    if (schema.check && !problems.length) {
+      const msg = schema.check(value);
+      if (msg) problems.push(`${path}: ${msg}`);
+    }
+    return problems;
+  }
+
+  const debugData = new URLSearchParams(location.search).get('debug') === 'data';
+  const dataChecks = new Map(); // absolute url -> problems ([] when the file passed)
+  const dataCachedAt = new Map(); // absolute url -> Date the service worker cached it (null = fresh from network)
+
+  function reportData(url, problems) {
+    dataChecks.set(url, problems);
+    if (problems.length) console.warn(`[data] ${url}\n  ${problems.join('\n  ')}`);
+    if (debugData) renderDataDebug();
+  }
+
+  // Fetch a JSON file and check it; rejects with an Error carrying kind ('network' | 'http' |
+  // 'parse' | 'schema'), url and problems
+  function loadData(url, schema, { cache = 'no-cache' } = {}) {
+    const abs = new URL(url, location.href).href;
+    const fail = (kind, problems) => {
+      reportData(abs, problems);
+      return Object.assign(new Error(problems[0]), { kind, url: abs, problems });
+    };
+    return fetch(url, { cache })
+      .catch(e => { throw fail('network', [`request failed (${e.message})`]); })
+      .then(r => {
+        if (!r.ok) throw fail('http', [`HTTP ${r.status} ${r.statusText || ''}`.trim()]);
+        const stamp = r.headers && r.headers.get('sw-fetched-at');
+        dataCachedAt.set(abs, stamp ? new Date(stamp) : null);
+        return r.json().catch(e => { throw fail('parse', [`not valid JSON (${e.message})`]); });
+      })
+      .then(json => {
+        const problems = validate(json, schema);
+        if (problems.length) throw fail('schema', problems);
+        reportData(abs, []);
+        return json;
+      });
+  }
 
-  // Ticker from JSON
+  // Skeleton / error / empty panel inside a data-driven element (state null removes it).
+  // The error panel gets a retry button when onRetry is given.
+  function showDataState(host, state, { onRetry, lines = 3 } = {}) {
+    host.querySelectorAll(':scope > .data-state').forEach(el => el.remove());
+    host.classList.toggle('has-data-state', !!state);
+    if (state === 'loading') host.setAttribute('aria-busy', 'true');
+    else host.removeAttribute('aria-busy');
+    if (!state) return null;
+
+    const box = document.createElement('div');
+    box.className = `data-state is-${state}`;
+    if (state === 'loading') {
+      box.setAttribute('aria-hidden', 'true');
+      for (let i = 0; i < lines; i++) box.appendChild(Object.assign(document.createElement('span'), { className: 'skeleton-line' }));
+    } else {
+      const fallback = { error: 'Could not load this data.', empty: 'No data to show yet.' }[state] || '';
+      box.setAttribute('role', state === 'error' ? 'alert' : 'status');
+      const msg = document.createElement('p');
+      msg.setAttribute('data-i18n', `data.${state}`);
+      msg.textContent = window.SiteI18n.t(`data.${state}`, fallback);
+      box.appendChild(msg);
+      if (state === 'error' && onRetry) {
+        const btn = document.createElement('button');
+        btn.type = 'button';
+        btn.className = 'btn data-retry';
+        btn.setAttribute('data-i18n', 'data.retry');
+        btn.textContent = window.SiteI18n.t('data.retry', 'Try again');
+        btn.addEventListener('click', () => onRetry(), { once: true });
+        box.appendChild(btn);
+      }
+    }
+    host.appendChild(box);
+    return box;
+  }
+
+  // ?debug=data: every file checked on this page, failures expanded
+  function renderDataDebug() {
+    let panel = document.getElementById('dataDebug');
+    if (!panel) {
+      panel = document.createElement('aside');
+      panel.id = 'dataDebug';
+      panel.className = 'data-debug';
+      panel.setAttribute('aria-label', 'Data checks');
+      document.body.appendChild(panel);
+    }
+    if (panel.hidden) return;
+    const failing = [...dataChecks].filter(([, p]) => p.length);
+    panel.textContent = '';
+
+    const head = document.createElement('header');
+    const title = document.createElement('strong');
+    title.textContent = `Data checks: ${dataChecks.size} file(s), ${failing.length} failing`;
+    const close = document.createElement('button');
+    close.type = 'button';
+    close.textContent = '×';
+    close.setAttribute('aria-label', 'Close');
+    close.addEventListener('click', () => { panel.hidden = true; });
+    head.append(title, close);
+    panel.appendChild(head);
+
+    dataChecks.forEach((problems, url) => {
+      const item = document.createElement('details');
+      item.open = problems.length > 0;
+      item.className = problems.length ? 'is-failing' : 'is-ok';
+      const summary = document.createElement('summary');
+      summary.textContent = `${problems.length ? '✗' : '✓'} ${new URL(url).pathname}`;
+      item.appendChild(summary);
+      if (problems.length) {
+        const list = document.createElement('ul');
+        problems.slice(0, 20).forEach(p => list.appendChild(Object.assign(document.createElement('li'), { textContent: p })));
+        if (problems.length > 20) list.appendChild(Object.assign(document.createElement('li'), { textContent: `… ${problems.length - 20} more` }));
+        item.appendChild(list);
+      }
+      panel.appendChild(item);
+    });
+  }
+
+  // "As of <time>" badge in host when url was served from the service worker's cache (removed otherwise)
+  function showAsOf(host, url) {
+    host.querySelectorAll(':scope > .as-of').forEach(el => el.remove());
+    const at = dataCachedAt.get(new URL(url, location.href).href);
+    if (!at || isNaN(at)) return null;
+    const badge = document.createElement('span');
+    badge.className = 'as-of';
+    badge.dataset.asOf = at.toISOString();
+    renderAsOf(badge);
+    host.appendChild(badge);
+    return badge;
+  }
+
+  window.SiteI18n.onChange(() => document.querySelectorAll('.as-of[data-as-of]').forEach(renderAsOf));
+
+  function renderAsOf(badge) {
+    const at = new Date(badge.dataset.asOf);
+    const locale = currentLang === 'mn' ? 'mn-MN' : 'en-US';
+    const time = at.toLocaleString(locale, { dateStyle: 'medium', timeStyle: 'short' });
+    badge.textContent = window.SiteI18n.t('data.asOf', 'As of {time}', { time });
+    badge.title = window.SiteI18n.t('data.cached', 'Saved copy; newer data loads in the background');
+  }
+
+  // For feature.js and inline page scripts
+  window.SiteData = { validate, load: loadData, showState: showDataState, asOf: showAsOf };
+
+  // Service worker (/sw.js): offline shell and cached data files. When it stores a newer copy of a file
+  // this page used, it posts 'data-updated'; the page gets a 'site:data-updated' event and a reload notice.
+  if ('serviceWorker' in navigator && (location.protocol === 'https:' || location.hostname === 'localhost')) {
+    navigator.serviceWorker.register('/sw.js').catch(err => console.warn('[sw] registration failed:', err));
+    navigator.serviceWorker.addEventListener('message', (e) => {
+      if (!e.data || e.data.type !== 'data-updated') return;
+      const url = new URL(e.data.url, location.href).href;
+      window.dispatchEvent(new CustomEvent('site:data-updated', { detail: { url } }));
+      if (dataCachedAt.has(url)) showUpdateNotice();
+    });
+  }
+
+  function showUpdateNotice() {
+    if (document.getElementById('dataUpdate')) return;
+    const box = document.createElement('div');
+    box.id = 'dataUpdate';
+    box.className = 'data-update';
+    box.setAttribute('role', 'status');
+    const msg = document.createElement('span');
+    msg.setAttribute('data-i18n', 'data.updated');
+    msg.textContent = window.SiteI18n.t('data.updated', 'Newer data is available.');
+    const reload = document.createElement('button');
+    reload.type = 'button';
+    reload.className = 'btn';
+    reload.setAttribute('data-i18n', 'data.reload');
+    reload.textContent = window.SiteI18n.t('data.reload', 'Refresh');
+    reload.addEventListener('click', () => location.reload());
+    const close = document.createElement('button');
+    close.type = 'button';
+    close.className = 'data-update-close';
+    close.textContent = '×';
+    close.setAttribute('aria-label', 'Close');
+    close.addEventListener('click', () => box.remove());
+    box.append(msg, reload, close);
+    document.body.appendChild(box);
+  }
+
+  // Ticker from JSON: {items: [{id, name: {en, mn}, value, unit, decimals, period, previous,
+  // better: "up" | "down", history: [{period, value}]}]}. Older {label: "NAME[period]", value: "+1.2%"}
+  // items are still read. Each item shows its change since the previous value; clicking opens its history.
+  const LOCALIZED = { type: ['string', 'object'], additionalProperties: { type: 'string' } };
+  const TICKER_SCHEMA = {
+    type: 'object',
+    required: ['items'],
+    properties: {
+      period: { type: ['string', 'null'] },
+      items: {
+        type: 'array',
+        items: {
+          anyOf: [
+            {
+              type: 'object',
+              required: ['id', 'value'],
+              properties: {
+                id: { type: 'string' },
+                name: LOCALIZED,
+                value: { type: 'number' },
+                unit: LOCALIZED,
+                decimals: { type: 'number' },
+                period: { type: 'string' },
+                previous: { type: ['number', 'null'] },
+                better: { type: 'string' },
+                history: {
+                  type: 'array',
+                  items: { type: 'object', required: ['period', 'value'], properties: { period: { type: 'string' }, value: { type: ['number', 'null'] } } },
+                },
+              },
+            },
+            { type: 'object', required: ['label', 'value'], properties: { label: { type: 'string' }, value: { type: ['string', 'number'] } } },
+          ],
+        },
+      },
+    },
+  };
+
+  const esc = s => String(s ?? '').replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+  const pickLang = v => (v && typeof v === 'object') ? (v[currentLang] ?? v.en ?? Object.values(v)[0] ?? '') : (v ?? '');
+
+  function tickerItem(it) {
+    if (it.id == null) {
+      const m = String(it.label).match(/^(.*?)\[(.+)\]$/);
+      const str = String(it.value);
+      return {
+        id: m ? m[1] : it.label, name: m ? m[1] : it.label, period: m ? m[2] : '',
+        value: Number(str.replace(/[^\d.-]/g, '')), unit: /%$/.test(str) ? '%' : '',
+        decimals: (str.split('.')[1] || '').replace(/\D/g, '').length, previous: null, history: [],
+      };
+    }
+    const history = (it.history || []).filter(h => h.value != null);
+    // without an explicit previous value, the last history point before the current period
+    const before = history.filter(h => h.period !== it.period);
+    const previous = it.previous ?? (before.length ? before[before.length - 1].value : null);
+    return Object.assign({}, it, { history, previous });
+  }
+
+  function tickerValue(v, it) {
+    const d = it.decimals ?? 2;
+    const n = Number(v).toLocaleString(currentLang === 'mn' ? 'mn-MN' : 'en-US', { minimumFractionDigits: d, maximumFractionDigits: d });
+    const unit = pickLang(it.unit);
+    return unit === '%' ? n + '%' : unit ? `${n} ${unit}` : n;
+  }
+
+  // dir: up / down / flat; tone: good / bad when the item says which direction is better
+  function tickerTrend(it) {
+    if (it.previous == null) return { dir: 'flat', tone: '' };
+    const dir = it.value > it.previous ? 'up' : it.value < it.previous ? 'down' : 'flat';
+    const tone = dir !== 'flat' && it.better ? (dir === it.better ? 'good' : 'bad') : '';
+    return { dir, tone };
+  }
+
+  function sparkline(values, w = 44, h = 14) {
+    const v = values.filter(Number.isFinite);
+    if (v.length < 2) return '';
+    const min = Math.min(...v), span = (Math.max(...v) - min) || 1;
+    const pts = v.map((y, i) => `${(i / (v.length - 1) * w).toFixed(1)},${(h - 1 - (y - min) / span * (h - 2)).toFixed(1)}`).join(' ');
+    return `<svg class="spark" viewBox="0 0 ${w} ${h}" width="${w}" height="${h}" aria-hidden="true">` +
+      `<polyline points="${pts}" fill="none" stroke="currentColor" stroke-width="1.5" stroke-linejoin="round" stroke-linecap="round"/></svg>`;
+  }
+
+  const t = window.SiteI18n.t;
   const track = document.getElementById('tickerTrack');
   const periodEl = document.getElementById('tickerPeriod');
+  const ticker = track && track.closest('.ticker');
+  let tickerItems = [];
+
+  function renderTicker() {
+    const arrows = { up: '▲', down: '▼' };
+    const html = (copy) => tickerItems.map((it, i) => {
+      const { dir, tone } = tickerTrend(it);
+      const name = pickLang(it.name) || it.id;
+      const value = tickerValue(it.value, it);
+      const label = [`${name}${it.period ? ` (${it.period})` : ''}: ${value}`,
+        dir !== 'flat' ? `${t(`ticker.${dir}`, dir)}, ${t('ticker.previous', 'previous')} ${tickerValue(it.previous, it)}` : ''].filter(Boolean).join(', ');
+      const cls = ['tick', `is-${dir}`, tone && `is-${tone}`].filter(Boolean).join(' ');
+      return `<button type="button" class="${cls}" data-index="${i}" aria-haspopup="dialog" aria-expanded="false" aria-label="${esc(label)}"` +
+        `${copy ? ' tabindex="-1" aria-hidden="true"' : ''}>` +
+        `<span class="tick-name">${esc(name)}</span>` +
+        `<span class="tick-value">${arrows[dir] ? `<span class="tick-arrow">${arrows[dir]}</span>` : ''}${esc(value)}</span>` +
+        sparkline(it.history.map(h => h.value)) +
+        (it.period ? `<span class="tick-period">${esc(it.period)}</span>` : '') +
+        `</button>`;
+    }).join('');
+    track.innerHTML = html(false) + html(true); // duplicate for seamless scroll
+  }
+
+  // History popover under the clicked item; the ticker stops scrolling while it is open
+  function openTickerPopover(btn) {
+    closeTickerPopover();
+    const it = tickerItems[Number(btn.dataset.index)];
+    if (!it) return;
+    const name = pickLang(it.name) || it.id;
+    const pop = document.createElement('div');
+    pop.className = 'ticker-pop';
+    pop.id = 'tickerPop';
+    pop.setAttribute('role', 'dialog');
+    pop.setAttribute('aria-label', name);
+    const rows = it.history.slice(-8).reverse()
+      .map(h => `<tr><th scope="row">${esc(h.period)}</th><td>${esc(tickerValue(h.value, it))}</td></tr>`).join('');
+    const prev = it.previous != null ? ` · ${esc(t('ticker.previous', 'previous'))} ${esc(tickerValue(it.previous, it))}` : '';
+    pop.innerHTML =
+      `<header><strong>${esc(name)}</strong>` +
+      `<button type="button" class="ticker-pop-close" aria-label="${esc(t('ticker.close', 'Close'))}">×</button></header>` +
+      `<p class="ticker-pop-now">${esc(tickerValue(it.value, it))} <small>${esc(it.period || '')}${prev}</small></p>` +
+      (it.history.length > 1
+        ? sparkline(it.history.map(h => h.value), 240, 48) +
+        `<p class="ticker-pop-caption">${esc(t('ticker.history', 'Last {count} periods', { count: Math.min(8, it.history.length) }))}</p>` +
+        `<table><thead><tr><th scope="col">${esc(t('ticker.period', 'Period'))}</th><th scope="col">${esc(t('ticker.value', 'Value'))}</th></tr></thead><tbody>${rows}</tbody></table>`
+        : `<p class="ticker-pop-empty">${esc(t('ticker.noHistory', 'No history published yet.'))}</p>`);
+    document.body.appendChild(pop);
+
+    const r = btn.getBoundingClientRect();
+    pop.style.left = Math.max(8, Math.min(r.left, window.innerWidth - pop.offsetWidth - 8)) + 'px';
+    pop.style.top = (r.bottom + 6) + 'px';
+    ticker.classList.add('is-paused');
+    btn.setAttribute('aria-expanded', 'true');
+    pop.$opener = btn;
+    pop.querySelector('.ticker-pop-close').addEventListener('click', () => closeTickerPopover(true));
+    pop.querySelector('.ticker-pop-close').focus();
+  }
+
+  function closeTickerPopover(restoreFocus) {
+    const pop = document.getElementById('tickerPop');
+    if (!pop) return;
+    pop.remove();
+    ticker.classList.remove('is-paused');
+    pop.$opener.setAttribute('aria-expanded', 'false');
+    if (restoreFocus && pop.$opener.isConnected && !pop.$opener.hasAttribute('tabindex')) pop.$opener.focus();
+  }
+
   if (track && periodEl) {
-    fetch('/assets/data/numbers.json', { cache: 'no-store' })
-      .then(r => r.json())
-      .then(data => {
-        const items = (data.items || []).map(it => `<b>${it.label}=${it.value}</b>`).join('');
-        track.innerHTML = items + items; // duplicate for seamless scroll
-        periodEl.textContent = data.period || '—';
-      })
-      .catch(() => { track.innerHTML = '<b>—</b>'; periodEl.textContent = '—'; });
+    const loadTicker = () => {
+      periodEl.textContent = '—';
+      showDataState(track, 'loading', { lines: 1 });
+      loadData('/assets/data/numbers.json', TICKER_SCHEMA, { cache: 'no-store' })
+        .then(data => {
+          if (!data.items.length) { showDataState(track, 'empty'); return; }
+          showDataState(track, null);
+          tickerItems = data.items.map(tickerItem);
+          renderTicker();
+          periodEl.textContent = data.period || '—';
+          showAsOf(periodEl.parentNode, '/assets/data/numbers.json');
+        })
+        .catch(() => showDataState(track, 'error', { onRetry: loadTicker }));
+    };
+    loadTicker();
+    window.SiteI18n.onChange(() => {
+      if (!tickerItems.length) return;
+      closeTickerPopover();
+      renderTicker();
+    });
+
+    track.addEventListener('click', (e) => {
+      const btn = e.target.closest('.tick');
+      if (!btn) return;
+      const open = btn.getAttribute('aria-expanded') === 'true';
+      closeTickerPopover();
+      if (!open) openTickerPopover(btn);
+    });
+    document.addEventListener('keydown', (e) => { if (e.key === 'Escape') closeTickerPopover(true); });
+    document.addEventListener('click', (e) => {
+      if (!e.target.closest('#tickerPop, .tick')) closeTickerPopover();
+    });
+    window.addEventListener('scroll', () => closeTickerPopover(), { passive: true });
+    window.addEventListener('resize', () => closeTickerPopover());
   }
 
   // Scroll reveal
@@ -76,7 +638,7 @@
       entries.forEach(e => {
         if (e.isIntersecting) {
           const end = parseInt(el.dataset.count, 10) || 0; let cur = 0; const dur = 1000; const start = performance.now();
-          const step = (t) => { const p = Math.min(1, (t - start) / dur); cur = Math.floor(end * (0.2 + 0.8 * p)); el.textContent = cur.toLocaleString(); if (p < 1) requestAnimationFrame(step); };
+          const step = (t) => { const p = motionReduced() ? 1 : Math.min(1, (t - start) / dur); cur = Math.floor(end * (0.2 + 0.8 * p)); el.textContent = cur.toLocaleString(); if (p < 1) requestAnimationFrame(step); };
           requestAnimationFrame(step); o.unobserve(parent);
         }
       });
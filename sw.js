@@ -0,0 +1,124 @@
+/* sw.js — offline cache for the site (registered by assets/js/script.js)
+ * Shell (pages, CSS, fonts, scripts, i18n.json, logo): precached on install. Pages, CSS, JS and i18n.json
+ * are network-first (the cache is only the offline fallback) so a deploy never pairs new markup with old
+ * scripts; fonts and images are served from the cache and refreshed in the background.
+ * Data (/assets/data/*.json): stale-while-revalidate. Cached copies carry an "sw-fetched-at" header
+ * (ISO time of the download) so the page can show "as of", and every open page gets
+ * { type: 'data-updated', url } when a newer copy replaces the cached one.
+ * Bump VERSION when shell files are added, renamed or removed (or the caching strategy changes).
+ */
+const VERSION = 'v3';
+const SHELL_CACHE = `unet-shell-${VERSION}`;
+const DATA_CACHE = `unet-data-${VERSION}`;
+const FONT_CACHE = `unet-fonts-${VERSION}`;
+
+const SHELL = [
+  '/',
+  '/features/',
+  '/products/',
+  '/about/',
+  '/team/',
+  '/404.html',
+  '/favicon.ico',
+  '/assets/logo.svg',
+  '/assets/css/styles.css',
+  '/assets/css/feature.css',
+  '/assets/css/mobile-safety.css',
+  '/assets/fonts/ScienceGothic.ttf',
+  '/assets/js/boot.js',
+  '/assets/js/chart.js',
+  '/assets/js/script.js',
+  '/assets/js/feature.js',
+  '/assets/i18n.json',
+];
+const FONT_ORIGINS = ['https://fonts.googleapis.com', 'https://fonts.gstatic.com'];
+// Shell files that change together with the markup on every deploy
+const CODE = /\.(?:m?js|css|json)$/;
+
+self.addEventListener('install', (e) => {
+  e.waitUntil(caches.open(SHELL_CACHE).then(c => c.addAll(SHELL)).then(() => self.skipWaiting()));
+});
+
+self.addEventListener('activate', (e) => {
+  const keep = [SHELL_CACHE, DATA_CACHE, FONT_CACHE];
+  e.waitUntil(caches.keys()
+    .then(keys => Promise.all(keys.filter(k => k.startsWith('unet-') && !keep.includes(k)).map(k => caches.delete(k))))
+    .then(() => self.clients.claim()));
+});
+
+self.addEventListener('fetch', (e) => {
+  const req = e.request;
+  if (req.method !== 'GET') return;
+  const url = new URL(req.url);
+
+  if (FONT_ORIGINS.includes(url.origin)) { e.respondWith(staleWhileRevalidate(e, FONT_CACHE)); return; }
+  if (url.origin !== location.origin) return;
+
+  if (req.mode === 'navigate') { e.respondWith(networkFirst(req)); return; }
+  if (url.pathname.startsWith('/assets/data/') && url.pathname.endsWith('.json')) { e.respondWith(staleData(e, url)); return; }
+  // reports are large downloads; leave them to the browser
+  if (url.pathname.startsWith('/assets/reports/')) return;
+  if (url.pathname.startsWith('/assets/') && CODE.test(url.pathname)) { e.respondWith(networkFirst(req)); return; }
+  if (url.pathname.startsWith('/assets/')) {
+    e.respondWith(staleWhileRevalidate(e, SHELL_CACHE));
+  }
+});
+
+// Cached copy right away (if any), network copy into the cache for next time
+async function staleWhileRevalidate(event, cacheName) {
+  const cache = await caches.open(cacheName);
+  const cached = await cache.match(event.request, { ignoreSearch: true });
+  const refresh = fetch(event.request).then(res => {
+    if (res.ok || res.type === 'opaque') cache.put(event.request, res.clone());
+    return res;
+  });
+  if (!cached) return refresh;
+  event.waitUntil(refresh.catch(() => { }));
+  return cached;
+}
+
+// Pages, scripts and styles: network, falling back to the cached copy
+// (pages also with or without the trailing slash, then the 404 page)
+async function networkFirst(req) {
+  const cache = await caches.open(SHELL_CACHE);
+  try {
+    const res = await fetch(req);
+    if (res.ok) cache.put(req, res.clone());
+    return res;
+  } catch (err) {
+    const cached = await cache.match(req, { ignoreSearch: true });
+    if (cached || req.mode !== 'navigate') return cached || Response.error();
+    const path = new URL(req.url).pathname;
+    return (await cache.match(path.endsWith('/') ? path : path + '/'))
+      || (await cache.match('/404.html'))
+      || Response.error();
+  }
+}
+
+// Data: cached copy (stamped with its download time) right away, fresh copy in the background;
+// pages are told when the fresh copy differs from what they were given
+async function staleData(event, url) {
+  const cache = await caches.open(DATA_CACHE);
+  const key = url.pathname;
+  const cached = await cache.match(key);
+  const cachedBody = cached ? await cached.clone().text() : null;
+
+  const refresh = fetch(key, { cache: 'no-cache' }).then(async res => {
+    if (!res.ok) return res;
+    const body = await res.clone().text();
+    const headers = new Headers(res.headers);
+    headers.set('sw-fetched-at', new Date().toISOString());
+    await cache.put(key, new Response(body, { status: res.status, statusText: res.statusText, headers }));
+    if (cachedBody !== null && body !== cachedBody) notify(key);
+    return res;
+  });
+
+  if (!cached) return refresh;
+  event.waitUntil(refresh.catch(() => { }));
+  return cached;
+}
+
+async function notify(url) {
+  const clients = await self.clients.matchAll({ type: 'window' });
+  clients.forEach(c => c.postMessage({ type: 'data-updated', url }));
+}